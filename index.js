@@ -15,3 +15,27 @@ export {default as Polynomial} from "./lib/Polynomial.js";
  *  @implements {module:SqrtPolynomial~SqrtPolynomial}
  */
 export {default as SqrtPolynomial} from "./lib/SqrtPolynomial.js";
+
+/**
+ *  @namespace RationalFunction
+ *  @implements {module:RationalFunction~RationalFunction}
+ */
+export {default as RationalFunction} from "./lib/RationalFunction.js";
+
+/**
+ *  @namespace Polynomial2
+ *  @implements {module:Polynomial2~Polynomial2}
+ */
+export {default as Polynomial2} from "./lib/Polynomial2.js";
+
+/**
+ *  @namespace Rational
+ *  @implements {module:Rational~Rational}
+ */
+export {default as Rational} from "./lib/Rational.js";
+
+/**
+ *  @namespace RationalPolynomial
+ *  @implements {module:RationalPolynomial~RationalPolynomial}
+ */
+export {default as RationalPolynomial} from "./lib/RationalPolynomial.js";
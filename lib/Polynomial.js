@@ -22,865 +22,3272 @@ function sign(x) {
 }
 
 /**
- *  Polynomial
+ *  Moves r down by at least one unit in the last place, so a bound computed
+ *  with round-to-nearest arithmetic still encloses the exact value.
  *
- *  @memberof module:kld-polynomial
+ *  @param {number} r
+ *  @returns {number}
  */
-class Polynomial {
-    /**
-     *  Polynomial
-     *
-     *  @param {Array<number>} coefs
-     *  @returns {module:kld-polynomial.Polynomial}
-     */
-    constructor(...coefs) {
-        this.coefs = [];
+function roundDown(r) {
+    return r - (Math.abs(r) * 2.220446049250313e-16 + Number.MIN_VALUE);
+}
 
-        for (let i = coefs.length - 1; i >= 0; i--) {
-            this.coefs.push(coefs[i]);
-        }
+/**
+ *  Moves r up by at least one unit in the last place, so a bound computed
+ *  with round-to-nearest arithmetic still encloses the exact value.
+ *
+ *  @param {number} r
+ *  @returns {number}
+ */
+function roundUp(r) {
+    return r + (Math.abs(r) * 2.220446049250313e-16 + Number.MIN_VALUE);
+}
 
-        this._variable = "t";
-        this._s = 0;
-    }
+/**
+ *  Unit roundoff of IEEE doubles, 2^-53
+ */
+const UNIT_ROUNDOFF = 1.1102230246251565e-16;
 
-    /**
-     *  Based on polint in "Numerical Recipes in C, 2nd Edition", pages 109-110
-     *
-     *  @param {Array<number>} xs
-     *  @param {Array<number>} ys
-     *  @param {number} n
-     *  @param {number} offset
-     *  @param {number} x
-     *
-     *  @returns {{y: number, dy: number}}
-     */
-    static interpolate(xs, ys, n, offset, x) {
-        if (xs.constructor !== Array || ys.constructor !== Array) {
-            throw new TypeError("xs and ys must be arrays");
-        }
-        if (isNaN(n) || isNaN(offset) || isNaN(x)) {
-            throw new TypeError("n, offset, and x must be numbers");
-        }
+/**
+ *  gamma(k) = k u / (1 - k u), which bounds the relative error accumulated
+ *  over k floating point operations.
+ *
+ *  @param {number} k
+ *  @returns {number}
+ */
+function gamma(k) {
+    return k * UNIT_ROUNDOFF / (1 - k * UNIT_ROUNDOFF);
+}
 
-        let i, y;
-        let dy = 0;
-        const c = new Array(n);
-        const d = new Array(n);
-        let ns = 0;
+/**
+ *  Error-free sum, a + b = sum + error exactly (Knuth).
+ *
+ *  @param {number} a
+ *  @param {number} b
+ *  @returns {{sum: number, error: number}}
+ */
+function twoSum(a, b) {
+    const sum = a + b;
+    const z = sum - a;
 
-        let diff = Math.abs(x - xs[offset]);
+    return {sum, error: (a - (sum - z)) + (b - z)};
+}
 
-        for (i = 0; i < n; i++) {
-            const dift = Math.abs(x - xs[offset + i]);
+/**
+ *  Veltkamp split of a into two halves with 26 significant bits each.
+ *
+ *  @param {number} a
+ *  @returns {{high: number, low: number}}
+ */
+function split(a) {
+    const c = 134217729 * a; // 2^27 + 1
+    const high = c - (c - a);
 
-            if (dift < diff) {
-                ns = i;
-                diff = dift;
-            }
-            c[i] = d[i] = ys[offset + i];
-        }
+    return {high, low: a - high};
+}
 
-        y = ys[offset + ns];
-        ns--;
+/**
+ *  Error-free product, a * b = product + error exactly (Dekker).
+ *
+ *  @param {number} a
+ *  @param {number} b
+ *  @returns {{product: number, error: number}}
+ */
+function twoProduct(a, b) {
+    const product = a * b;
+    const x = split(a);
+    const y = split(b);
+
+    return {
+        product,
+        error: x.low * y.low - (((product - x.high * y.high) - x.low * y.high) - x.high * y.low)
+    };
+}
 
-        for (let m = 1; m < n; m++) {
-            for (i = 0; i < n - m; i++) {
-                const ho = xs[offset + i] - x;
-                const hp = xs[offset + i + m] - x;
-                const w = c[i + 1] - d[i];
-                let den = ho - hp;
+/**
+ *  Divides poly by gcd(poly, poly') to remove repeated roots. A floating point
+ *  gcd also merges distinct roots that are merely close, so it is only divided
+ *  out when poly vanishes at each of its Real roots to within the rounding
+ *  error of evaluating poly there. Otherwise poly is returned unchanged.
+ *
+ *  @param {module:kld-polynomial.Polynomial} poly
+ *  @returns {module:kld-polynomial.Polynomial}
+ */
+function squareFreePart(poly) {
+    const g = poly.gcd(poly.getDerivative());
 
-                if (den === 0.0) {
-                    throw new RangeError("Unable to interpolate polynomial. Two numbers in n were identical (to within roundoff)");
-                }
+    if (g.getDegree() < 1) {
+        return poly;
+    }
 
-                den = w / den;
-                d[i] = hp * den;
-                c[i] = ho * den;
-            }
+    const absPoly = new Polynomial();
+    const bound = gamma(2 * poly.getDegree());
 
-            dy = (2 * (ns + 1) < (n - m)) ? c[ns + 1] : d[ns--];
-            y += dy;
-        }
+    absPoly.coefs = poly.coefs.map(Math.abs);
 
-        return {y, dy};
+    const verified = g.getRealRoots().every(
+        x => Math.abs(poly.eval(x)) <= bound * absPoly.eval(Math.abs(x))
+    );
+
+    return verified ? poly.divide(g).quotient : poly;
+}
+
+/**
+ *  Distinct roots of poly on [min, max] in ascending order. Polynomials that
+ *  are constant, including the zero polynomial, have no isolated roots.
+ *
+ *  @param {module:kld-polynomial.Polynomial} poly
+ *  @param {number} min
+ *  @param {number} max
+ *  @returns {Array<number>}
+ */
+function distinctRootsInInterval(poly, min, max) {
+    const simplified = poly.simplify();
+
+    if (simplified.getDegree() < 1) {
+        return [];
     }
 
-    /**
-     *  Newton's (Newton-Raphson) method for finding Real roots on univariate function. <br/>
-     *  When using bounds, algorithm falls back to secant if newton goes out of range.
-     *  Bisection is fallback for secant when determined secant is not efficient enough.
-     *  @see {@link http://en.wikipedia.org/wiki/Newton%27s_method}
-     *  @see {@link http://en.wikipedia.org/wiki/Secant_method}
-     *  @see {@link http://en.wikipedia.org/wiki/Bisection_method}
-     *
-     *  @param {number} x0 - Initial root guess
-     *  @param {Function} f - Function which root we are trying to find
-     *  @param {Function} df - Derivative of function f
-     *  @param {number} max_iterations - Maximum number of algorithm iterations
-     *  @param {number} [min] - Left bound value
-     *  @param {number} [max] - Right bound value
-     *  @returns {number} root
-     */
-    static newtonSecantBisection(x0, f, df, max_iterations, min, max) {
-        let x, prev_dfx = 0, dfx, prev_x_ef_correction = 0, x_correction, x_new;
-        let y, y_atmin, y_atmax;
+    const roots = simplified.getRootsInInterval(min, max).sort((a, b) => a - b);
 
-        x = x0;
+    return roots.filter((x, i) => i === 0 || x - roots[i - 1] > 1e-12 * Math.max(1, Math.abs(x)));
+}
 
-        const ACCURACY = 14;
-        const min_correction_factor = Math.pow(10, -ACCURACY);
-        const isBounded = (typeof min === "number" && typeof max === "number");
+/**
+ *  Gauss-Legendre nodes and weights on [-1, 1]. The nodes are the roots of
+ *  the Legendre polynomial P_n, found with Newton's method from Chebyshev-like
+ *  initial guesses, with P_n and P_n' evaluated by their three-term recurrence.
+ *  @see {@link http://en.wikipedia.org/wiki/Gaussian_quadrature}
+ *
+ *  @param {number} n
+ *  @returns {{nodes: Array<number>, weights: Array<number>}}
+ */
+function gaussLegendreRule(n) {
+    const nodes = [];
+    const weights = [];
 
-        if (isBounded) {
-            if (min > max) {
-                throw new RangeError("Min must be greater than max");
+    for (let i = 1; i <= Math.ceil(n / 2); i++) {
+        let x = Math.cos(Math.PI * (i - 0.25) / (n + 0.5));
+        let dp = 0;
+
+        for (let iteration = 0; iteration < 100; iteration++) {
+            let p1 = 1;
+            let p2 = 0;
+
+            for (let j = 1; j <= n; j++) {
+                const p3 = p2;
+
+                p2 = p1;
+                p1 = ((2 * j - 1) * x * p2 - (j - 1) * p3) / j;
             }
 
-            y_atmin = f(min);
-            y_atmax = f(max);
+            dp = n * (x * p1 - p2) / (x * x - 1);
 
-            if (sign(y_atmin) === sign(y_atmax)) {
-                throw new RangeError("Y values of bounds must be of opposite sign");
+            const previous = x;
+
+            x = previous - p1 / dp;
+
+            if (Math.abs(x - previous) <= 1e-15) {
+                break;
             }
         }
 
-        const isEnoughCorrection = function() {
-            // stop if correction is too small or if correction is in simple loop
-            return (Math.abs(x_correction) <= min_correction_factor * Math.abs(x)) ||
-                (prev_x_ef_correction === (x - x_correction) - x);
-        };
+        const weight = 2 / ((1 - x * x) * dp * dp);
 
-        for (let i = 0; i < max_iterations; i++) {
-            dfx = df(x);
+        nodes.push(-x);
+        weights.push(weight);
 
-            if (dfx === 0) {
-                if (prev_dfx === 0) {
-                    // error
-                    throw new RangeError("df(x) is zero");
-                }
-                else {
-                    // use previous derivation value
-                    dfx = prev_dfx;
-                }
-                // or move x a little?
-                // dfx = df(x != 0 ? x + x * 1e-15 : 1e-15);
-            }
+        if (2 * i - 1 !== n) {
+            nodes.push(x);
+            weights.push(weight);
+        }
+    }
 
-            prev_dfx = dfx;
-            y = f(x);
-            x_correction = y / dfx;
-            x_new = x - x_correction;
+    return {nodes, weights};
+}
 
-            if (isEnoughCorrection()) {
-                break;
-            }
+/**
+ *  10-point Gauss-Legendre rule used by sqrtIntegral
+ */
+const GAUSS_LEGENDRE = gaussLegendreRule(10);
 
-            if (isBounded) {
-                if (sign(y) === sign(y_atmax)) {
-                    max = x;
-                    y_atmax = y;
-                }
-                else if (sign(y) === sign(y_atmin)) {
-                    min = x;
-                    y_atmin = y;
-                }
-                else {
-                    x = x_new;
-                    break;
-                }
+/**
+ *  Gauss-Legendre estimate of the integral of f over [a, b]
+ *
+ *  @param {Function} f
+ *  @param {number} a
+ *  @param {number} b
+ *  @returns {number}
+ */
+function gaussLegendre(f, a, b) {
+    const center = (a + b) / 2;
+    const halfWidth = (b - a) / 2;
+    const {nodes, weights} = GAUSS_LEGENDRE;
+    let sum = 0;
+
+    for (let i = 0; i < nodes.length; i++) {
+        sum += weights[i] * f(center + halfWidth * nodes[i]);
+    }
 
-                if ((x_new < min) || (x_new > max)) {
-                    if (sign(y_atmin) === sign(y_atmax)) {
-                        break;
-                    }
+    return halfWidth * sum;
+}
 
-                    const RATIO_LIMIT = 50;
-                    const AIMED_BISECT_OFFSET = 0.25; // [0, 0.5)
-                    const dy = y_atmax - y_atmin;
-                    const dx = max - min;
+/**
+ *  Adaptive Gauss-Legendre quadrature. An interval is accepted when the rule
+ *  applied to its halves agrees with the rule applied to the whole, either to
+ *  within a tolerance that halves with each subdivision, or to within the
+ *  integral of noise, an error bound for evaluating f. The latter stops
+ *  subdividing where f is known no more accurately, such as near a double
+ *  root of a radicand.
+ *
+ *  @param {Function} f
+ *  @param {Function} noise - bound on the evaluation error of f
+ *  @param {number} a
+ *  @param {number} b
+ *  @param {number} whole - estimate over [a, b]
+ *  @param {number} tolerance - absolute error allowed on [a, b]
+ *  @param {number} depth - remaining subdivisions
+ *  @param {{remaining: number}} budget - evaluations of f and noise left
+ *  @returns {number}
+ */
+function adaptiveGaussLegendre(f, noise, a, b, whole, tolerance, depth, budget) {
+    const size = GAUSS_LEGENDRE.nodes.length;
 
-                    if (dy === 0) {
-                        x_correction = x - (min + dx * 0.5);
-                    }
-                    else if (Math.abs(dy / Math.min(y_atmin, y_atmax)) > RATIO_LIMIT) {
-                        x_correction = x - (min + dx * (0.5 + (Math.abs(y_atmin) < Math.abs(y_atmax) ? -AIMED_BISECT_OFFSET : AIMED_BISECT_OFFSET)));
-                    }
-                    else {
-                        x_correction = x - (min - y_atmin / dy * dx);
-                    }
-                    x_new = x - x_correction;
+    budget.remaining -= 2 * size;
 
-                    if (isEnoughCorrection()) {
-                        break;
-                    }
-                }
-            }
+    if (budget.remaining < 0) {
+        throw new RangeError("Integral did not converge within the evaluation budget");
+    }
 
-            prev_x_ef_correction = x - x_new;
-            x = x_new;
-        }
+    const middle = (a + b) / 2;
+    const left = gaussLegendre(f, a, middle);
+    const right = gaussLegendre(f, middle, b);
+    const difference = Math.abs(left + right - whole);
 
-        return x;
+    if (depth <= 0 || difference <= tolerance) {
+        return left + right;
     }
 
-    /**
-     *  Clones this polynomial and return the clone.
-     *
-     *  @returns {module:kld-polynomial.Polynomial}
-     */
-    clone() {
-        const poly = new Polynomial();
+    budget.remaining -= size;
 
-        poly.coefs = this.coefs.slice();
+    if (difference <= 2 * gaussLegendre(noise, a, b)) {
+        return left + right;
+    }
 
-        return poly;
+    return adaptiveGaussLegendre(f, noise, a, middle, left, tolerance / 2, depth - 1, budget) +
+        adaptiveGaussLegendre(f, noise, middle, b, right, tolerance / 2, depth - 1, budget);
+}
+
+/**
+ *  Builds a function that integrates sqrt(poly) between two parameters. The
+ *  Real roots of poly, where sqrt(poly) is not smooth, are located once and
+ *  each integral is split there, as a kink can otherwise hide between the
+ *  quadrature nodes. All integrals share one evaluation budget.
+ *
+ *  @param {module:kld-polynomial.Polynomial} poly
+ *  @param {PlainObject} [options] - see Polynomial#sqrtIntegral
+ *  @returns {Function} (a, b) => integral of sqrt(poly) from a to b
+ */
+function sqrtIntegrator(poly, {tolerance = 1e-10, clampTolerance = 1e-7, onNegative = "throw", maxEvaluations = 1e6} = {}) {
+    if (onNegative !== "throw" && onNegative !== "clamp") {
+        throw new RangeError(`onNegative must be "throw" or "clamp". Found '${onNegative}'`);
     }
 
-    /**
-     *  eval
-     *
-     *  @param {number} x
-     */
-    eval(x) {
-        if (isNaN(x)) {
-            throw new TypeError(`Parameter must be a number. Found '${x}'`);
+    const f = x => {
+        const value = poly.eval(x);
+
+        if (value >= 0) {
+            return Math.sqrt(value);
+        }
+        if (value > -clampTolerance || onNegative === "clamp") {
+            return 0;
         }
 
+        throw new RangeError("Cannot take square root of negative number");
+    };
+    // Horner's error e in p moves sqrt(p) by at most e / sqrt(p), and by at
+    // most sqrt(e) where p is about as small as e
+    const absPoly = new Polynomial();
+    const bound = gamma(2 * Math.max(poly.getDegree(), 1));
+
+    absPoly.coefs = poly.coefs.map(Math.abs);
+
+    const noise = x => {
+        const value = Math.abs(poly.eval(x));
+        const error = bound * absPoly.eval(Math.abs(x));
+
+        return (value > error)
+            ? error / Math.sqrt(value) + bound * Math.sqrt(value)
+            : Math.sqrt(2 * error);
+    };
+    // getRealRoots refines repeated roots fully too, unlike getRootsInInterval
+    const simplified = poly.simplify();
+    const roots = (simplified.getDegree() > 0) ? simplified.getRealRoots() : [];
+    const budget = {remaining: maxEvaluations};
+
+    return (a, b) => {
+        const lo = Math.min(a, b);
+        const hi = Math.max(a, b);
+        const breaks = [lo].concat(roots.filter(x => lo < x && x < hi), hi);
         let result = 0;
 
-        for (let i = this.coefs.length - 1; i >= 0; i--) {
-            result = result * x + this.coefs[i];
+        for (let i = 1; i < breaks.length; i++) {
+            const whole = gaussLegendre(f, breaks[i - 1], breaks[i]);
+
+            result += adaptiveGaussLegendre(
+                f, noise, breaks[i - 1], breaks[i], whole, tolerance * Math.abs(whole), 50, budget
+            );
         }
 
-        return result;
+        return (a <= b) ? result : -result;
+    };
+}
+
+/**
+ *  Expands the Newton form c[0] + c[1](t - xs[0]) + c[2](t - xs[0])(t - xs[1]) + ...
+ *
+ *  @param {Array<number>} xs
+ *  @param {Array<number>} c
+ *  @returns {module:kld-polynomial.Polynomial}
+ */
+function expandNewtonForm(xs, c) {
+    const n = c.length - 1;
+    let result = new Polynomial(c[n]);
+
+    for (let k = n - 1; k >= 0; k--) {
+        result = result.multiply(new Polynomial(1, -xs[k])).add(new Polynomial(c[k]));
+    }
+
+    return result;
+}
+
+/**
+ *  Message of the RangeError thrown by leastSquares when the Vandermonde
+ *  matrix is rank deficient.
+ *
+ *  @type {string}
+ */
+const RANK_DEFICIENT = "Unable to fit polynomial. Not enough distinct x values for the requested degree";
+
+/**
+ *  Weighted least-squares fit of a polynomial of the given degree in the
+ *  variable us, using Householder QR factorization of the Vandermonde matrix.
+ *
+ *  @param {Array<number>} us
+ *  @param {Array<number>} ys
+ *  @param {Array<number>} sqrtWeights
+ *  @param {number} degree
+ *  @returns {{coefs: Array<number>, rss: number, condition: number}}
+ */
+function leastSquares(us, ys, sqrtWeights, degree) {
+    const n = us.length;
+    const m = degree + 1;
+    const columns = [];
+    const b = ys.map((y, i) => y * sqrtWeights[i]);
+
+    for (let j = 0; j < m; j++) {
+        columns.push(us.map((u, i) => Math.pow(u, j) * sqrtWeights[i]));
+    }
+
+    const diagonal = [];
+
+    for (let k = 0; k < m; k++) {
+        const column = columns[k];
+        let norm = 0;
+
+        for (let i = k; i < n; i++) {
+            norm += column[i] * column[i];
+        }
+
+        norm = Math.sqrt(norm);
+
+        if (norm === 0) {
+            throw new RangeError(RANK_DEFICIENT);
+        }
+
+        const alpha = (column[k] > 0) ? -norm : norm;
+        const v = column.slice(k);
+
+        v[0] -= alpha;
+
+        const vv = v.reduce((sum, vi) => sum + vi * vi, 0);
+
+        /**
+         *  @param {Array<number>} target
+         */
+        const reflect = function(target) {
+            let dot = 0;
+
+            for (let i = k; i < n; i++) {
+                dot += v[i - k] * target[i];
+            }
+
+            const scale = 2 * dot / vv;
+
+            for (let i = k; i < n; i++) {
+                target[i] -= scale * v[i - k];
+            }
+        };
+
+        for (let j = k + 1; j < m; j++) {
+            reflect(columns[j]);
+        }
+
+        reflect(b);
+        column[k] = alpha;
+        diagonal.push(Math.abs(alpha));
+    }
+
+    const coefs = new Array(m);
+
+    for (let k = m - 1; k >= 0; k--) {
+        let sum = b[k];
+
+        for (let j = k + 1; j < m; j++) {
+            sum -= columns[j][k] * coefs[j];
+        }
+
+        coefs[k] = sum / columns[k][k];
+    }
+
+    let rss = 0;
+
+    for (let i = m; i < n; i++) {
+        rss += b[i] * b[i];
     }
 
+    return {
+        coefs,
+        rss,
+        condition: Math.max(...diagonal) / Math.min(...diagonal)
+    };
+}
+
+/**
+ *  Recursive descent parser for polynomial expressions such as "2t^3 - t + 4".
+ *  Supports +, -, *, ^ with non-negative integer exponents, implicit
+ *  multiplication and parentheses.
+ *
+ *  @param {string} text
+ *  @param {string} [variable] - Expected variable name, inferred when omitted
+ *  @returns {module:kld-polynomial.Polynomial}
+ */
+function parsePolynomial(text, variable) {
+    let position = 0;
+
+    const fail = function(message) {
+        const error = new SyntaxError(`${message} at position ${position}`);
+
+        error.position = position;
+
+        throw error;
+    };
+
+    const skipWhitespace = function() {
+        while (position < text.length && (/\s/).test(text[position])) {
+            position++;
+        }
+    };
+
+    const peek = function() {
+        skipWhitespace();
+
+        return (position < text.length) ? text[position] : "";
+    };
+
+    const unexpected = function() {
+        const ch = peek();
+
+        return fail((ch === "") ? "Unexpected end of input" : `Unexpected character '${ch}'`);
+    };
+
+    const startsPrimary = function(ch) {
+        return (/[\d.A-Za-z_(]/).test(ch);
+    };
+
+    const match = function(regex) {
+        skipWhitespace();
+
+        const m = regex.exec(text.slice(position));
+
+        if (m === null) {
+            return null;
+        }
+
+        position += m[0].length;
+
+        return m[0];
+    };
+
+    const parsePrimary = function() {
+        const ch = peek();
+
+        if (ch === "(") {
+            position++;
+
+            const result = parseExpression();
+
+            if (peek() !== ")") {
+                unexpected();
+            }
+
+            position++;
+
+            return result;
+        }
+
+        const start = position;
+        let number = match(/^\d*\.?\d*/);
+
+        if (number !== null && number !== "" && number !== ".") {
+            const exponent = (/^e[+-]?\d+/i).exec(text.slice(position));
+
+            if (exponent !== null) {
+                number += exponent[0];
+                position += exponent[0].length;
+            }
+
+            return new Polynomial(Number(number));
+        }
+
+        position = start;
+
+        const name = match(/^[A-Z_a-z]\w*/);
+
+        if (name !== null) {
+            if (variable === undefined) {
+                variable = name;
+            }
+            else if (name !== variable) {
+                position = start;
+                fail(`Unexpected variable '${name}', expected '${variable}'`);
+            }
+
+            return new Polynomial(1, 0);
+        }
+
+        return unexpected();
+    };
+
+    const parsePower = function() {
+        const base = parsePrimary();
+
+        if (peek() === "^") {
+            position++;
+
+            const exponent = match(/^\d+(?![.\d])/);
+
+            if (exponent === null) {
+                fail("Expected a non-negative integer exponent");
+            }
+
+            return base.pow(Number(exponent));
+        }
+
+        return base;
+    };
+
+    const parseFactor = function() {
+        const ch = peek();
+
+        if (ch === "-" || ch === "+") {
+            position++;
+
+            const factor = parseFactor();
+
+            return (ch === "-") ? factor.negate() : factor;
+        }
+
+        return parsePower();
+    };
+
+    const parseTerm = function() {
+        let result = parseFactor();
+
+        for (;;) {
+            const ch = peek();
+
+            if (ch === "*") {
+                position++;
+                result = result.multiply(parseFactor());
+            }
+            else if (startsPrimary(ch)) {
+                result = result.multiply(parsePower());
+            }
+            else {
+                return result;
+            }
+        }
+    };
+
     /**
-     *  add
-     *
-     *  @param {module:kld-polynomial.Polynomial} that
      *  @returns {module:kld-polynomial.Polynomial}
      */
-    add(that) {
-        const result = new Polynomial();
-        const d1 = this.getDegree();
-        const d2 = that.getDegree();
-        const dmax = Math.max(d1, d2);
+    function parseExpression() {
+        let result = parseTerm();
 
-        for (let i = 0; i <= dmax; i++) {
-            const v1 = (i <= d1) ? this.coefs[i] : 0;
-            const v2 = (i <= d2) ? that.coefs[i] : 0;
+        for (;;) {
+            const ch = peek();
 
-            result.coefs[i] = v1 + v2;
+            if (ch === "+") {
+                position++;
+                result = result.add(parseTerm());
+            }
+            else if (ch === "-") {
+                position++;
+                result = result.subtract(parseTerm());
+            }
+            else {
+                return result;
+            }
         }
+    }
 
-        return result;
+    const result = parseExpression().simplify(0);
+
+    if (peek() !== "") {
+        unexpected();
+    }
+
+    if (result.coefs.length === 0) {
+        result.coefs.push(0);
+    }
+
+    result._variable = (variable === undefined) ? "t" : variable;
+
+    return result;
+}
+
+/**
+ *  Converts a string of decimal digits, possibly signed, to Unicode superscripts.
+ *
+ *  @param {string} text
+ *  @returns {string}
+ */
+function toSuperscript(text) {
+    const superscripts = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+    return text.replace(/\d/g, d => superscripts[d]).replace("-", "⁻").replace("+", "");
+}
+
+/**
+ *  Number, term, sign and wrapper formatting for each style supported by
+ *  Polynomial#format.
+ *
+ *  @type {PlainObject<string, PlainObject<string, Function>>}
+ */
+const formatStyles = {
+    plain: {
+        number(value) {
+            return value;
+        },
+        term(coefficient, variable, power) {
+            return coefficient + variable + ((power > 1) ? "^" + power : "");
+        },
+        sign(negative, first) {
+            if (first) {
+                return "-";
+            }
+
+            return negative ? " - " : " + ";
+        },
+        wrap(text) {
+            return text;
+        }
+    },
+    unicode: {
+        number(value) {
+            return value.replace(/e(.*)$/, (_, exponent) => "×10" + toSuperscript(exponent));
+        },
+        term(coefficient, variable, power) {
+            return coefficient + variable + ((power > 1) ? toSuperscript(String(power)) : "");
+        },
+        sign(negative, first) {
+            if (first) {
+                return "−";
+            }
+
+            return negative ? " − " : " + ";
+        },
+        wrap(text) {
+            return text;
+        }
+    },
+    latex: {
+        number(value) {
+            return value.replace(/e\+?(.*)$/, " \\times 10^{$1}");
+        },
+        term(coefficient, variable, power) {
+            return coefficient + variable + ((power > 1) ? "^{" + power + "}" : "");
+        },
+        sign(negative, first) {
+            if (first) {
+                return "-";
+            }
+
+            return negative ? " - " : " + ";
+        },
+        wrap(text) {
+            return text;
+        }
+    },
+    mathml: {
+        number(value) {
+            const parts = value.split("e");
+
+            return (parts.length === 1)
+                ? `<mn>${value}</mn>`
+                : `<mrow><mn>${parts[0]}</mn><mo>&#xD7;</mo><msup><mn>10</mn><mn>${Number(parts[1])}</mn></msup></mrow>`;
+        },
+        term(coefficient, variable, power) {
+            let result = coefficient;
+
+            if (variable !== "") {
+                const symbol = `<mi>${variable}</mi>`;
+
+                if (coefficient !== "") {
+                    result += "<mo>&#x2062;</mo>";
+                }
+
+                result += (power > 1) ? `<msup>${symbol}<mn>${power}</mn></msup>` : symbol;
+            }
+
+            return result;
+        },
+        sign(negative, first) {
+            if (negative) {
+                return "<mo>&#x2212;</mo>";
+            }
+
+            return first ? "" : "<mo>+</mo>";
+        },
+        wrap(text) {
+            return `<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow>${text}</mrow></math>`;
+        }
     }
+};
+
+/**
+ *  Version of the JSON format written by Polynomial#toJSON.
+ *
+ *  @type {number}
+ */
+const JSON_VERSION = 1;
+
+/**
+ *  Classes that can be restored by Polynomial.fromJSON, keyed by type name.
+ *
+ *  @type {PlainObject<string, Function>}
+ */
+const jsonTypes = {};
 
+/**
+ *  Polynomial
+ *
+ *  @memberof module:kld-polynomial
+ */
+class Polynomial {
     /**
-     *  multiply
+     *  Polynomial
      *
-     *  @param {module:kld-polynomial.Polynomial} that
+     *  @param {Array<number>} coefs
      *  @returns {module:kld-polynomial.Polynomial}
      */
-    multiply(that) {
-        const result = new Polynomial();
+    constructor(...coefs) {
+        this.coefs = [];
 
-        for (let i = 0; i <= this.getDegree() + that.getDegree(); i++) {
-            result.coefs.push(0);
+        for (let i = coefs.length - 1; i >= 0; i--) {
+            this.coefs.push(coefs[i]);
         }
 
-        for (let i = 0; i <= this.getDegree(); i++) {
-            for (let j = 0; j <= that.getDegree(); j++) {
-                result.coefs[i + j] += this.coefs[i] * that.coefs[j];
+        this._variable = "t";
+        this._s = 0;
+    }
+
+    /**
+     *  Based on polint in "Numerical Recipes in C, 2nd Edition", pages 109-110
+     *
+     *  @param {Array<number>} xs
+     *  @param {Array<number>} ys
+     *  @param {number} n
+     *  @param {number} offset
+     *  @param {number} x
+     *
+     *  @returns {{y: number, dy: number}}
+     */
+    static interpolate(xs, ys, n, offset, x) {
+        if (xs.constructor !== Array || ys.constructor !== Array) {
+            throw new TypeError("xs and ys must be arrays");
+        }
+        if (isNaN(n) || isNaN(offset) || isNaN(x)) {
+            throw new TypeError("n, offset, and x must be numbers");
+        }
+
+        let i, y;
+        let dy = 0;
+        const c = new Array(n);
+        const d = new Array(n);
+        let ns = 0;
+
+        let diff = Math.abs(x - xs[offset]);
+
+        for (i = 0; i < n; i++) {
+            const dift = Math.abs(x - xs[offset + i]);
+
+            if (dift < diff) {
+                ns = i;
+                diff = dift;
             }
+            c[i] = d[i] = ys[offset + i];
         }
 
-        return result;
+        y = ys[offset + ns];
+        ns--;
+
+        for (let m = 1; m < n; m++) {
+            for (i = 0; i < n - m; i++) {
+                const ho = xs[offset + i] - x;
+                const hp = xs[offset + i + m] - x;
+                const w = c[i + 1] - d[i];
+                let den = ho - hp;
+
+                if (den === 0.0) {
+                    throw new RangeError("Unable to interpolate polynomial. Two numbers in n were identical (to within roundoff)");
+                }
+
+                den = w / den;
+                d[i] = hp * den;
+                c[i] = ho * den;
+            }
+
+            dy = (2 * (ns + 1) < (n - m)) ? c[ns + 1] : d[ns--];
+            y += dy;
+        }
+
+        return {y, dy};
+    }
+
+    /**
+     *  Builds the interpolating polynomial passing through the points (xs[i], ys[i])
+     *  using Newton's divided differences.
+     *
+     *  @param {Array<number>} xs
+     *  @param {Array<number>} ys
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    static fromPoints(xs, ys) {
+        if (xs.constructor !== Array || ys.constructor !== Array) {
+            throw new TypeError("xs and ys must be arrays");
+        }
+        if (xs.length !== ys.length || xs.length === 0) {
+            throw new RangeError("xs and ys must be non-empty and of the same length");
+        }
+
+        const n = xs.length;
+        const c = ys.slice();
+
+        for (let j = 1; j < n; j++) {
+            for (let i = n - 1; i >= j; i--) {
+                const den = xs[i] - xs[i - j];
+
+                if (den === 0) {
+                    throw new RangeError("Unable to interpolate polynomial. Two x values were identical");
+                }
+
+                c[i] = (c[i] - c[i - 1]) / den;
+            }
+        }
+
+        return expandNewtonForm(xs, c);
+    }
+
+    /**
+     *  Builds the Hermite interpolating polynomial that passes through the points
+     *  (xs[i], ys[i]) with slopes dys[i], using divided differences on doubled
+     *  nodes.
+     *
+     *  @param {Array<number>} xs
+     *  @param {Array<number>} ys
+     *  @param {Array<number>} dys
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    static fromHermite(xs, ys, dys) {
+        if (xs.constructor !== Array || ys.constructor !== Array || dys.constructor !== Array) {
+            throw new TypeError("xs, ys and dys must be arrays");
+        }
+        if (xs.length !== ys.length || xs.length !== dys.length || xs.length === 0) {
+            throw new RangeError("xs, ys and dys must be non-empty and of the same length");
+        }
+
+        const z = [];
+        const c = [];
+
+        for (let i = 0; i < xs.length; i++) {
+            z.push(xs[i], xs[i]);
+            c.push(ys[i], ys[i]);
+        }
+
+        const m = z.length;
+
+        for (let j = 1; j < m; j++) {
+            for (let i = m - 1; i >= j; i--) {
+                if (j === 1 && i % 2 === 1) {
+                    // repeated node, the divided difference is the derivative
+                    c[i] = dys[(i - 1) / 2];
+                }
+                else {
+                    const den = z[i] - z[i - j];
+
+                    if (den === 0) {
+                        throw new RangeError("Unable to interpolate polynomial. Two x values were identical");
+                    }
+
+                    c[i] = (c[i] - c[i - 1]) / den;
+                }
+            }
+        }
+
+        return expandNewtonForm(z, c);
+    }
+
+    /**
+     *  Builds the polynomial leading * (t - roots[0]) * (t - roots[1]) * ...
+     *
+     *  @param {Array<number>} roots
+     *  @param {number} [leading]
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    static fromRoots(roots, leading = 1) {
+        let result = new Polynomial(leading);
+
+        for (let i = 0; i < roots.length; i++) {
+            result = result.multiply(new Polynomial(1, -roots[i]));
+        }
+
+        return result;
+    }
+
+    /**
+     *  Weighted least-squares polynomial fit. The x values are mapped onto
+     *  [-1, 1] and the system is solved by QR factorization, avoiding the
+     *  poorly conditioned normal equations. When no degree is given, degrees 0
+     *  through maxDegree are tried and the one with the lowest corrected Akaike
+     *  information criterion (AICc) is selected.
+     *
+     *  The residual is the weighted 2-norm of the fit errors. The condition
+     *  value estimates the condition number of the scaled least-squares
+     *  problem from the diagonal of R.
+     *
+     *  @param {Array<number>} xs
+     *  @param {Array<number>} ys
+     *  @param {PlainObject} [options]
+     *  @param {number} [options.degree] - Fit degree, selected automatically when omitted
+     *  @param {Array<number>} [options.weights] - Non-negative weight per point, defaults to 1
+     *  @param {number} [options.maxDegree=10] - Highest degree tried by automatic selection
+     *  @returns {{polynomial: module:kld-polynomial.Polynomial, degree: number, residual: number, condition: number}}
+     */
+    static fit(xs, ys, {degree, weights, maxDegree = 10} = {}) {
+        if (xs.constructor !== Array || ys.constructor !== Array) {
+            throw new TypeError("xs and ys must be arrays");
+        }
+        if (xs.length !== ys.length || xs.length === 0) {
+            throw new RangeError("xs and ys must be non-empty and of the same length");
+        }
+        if (weights !== undefined && (weights.constructor !== Array || weights.length !== xs.length)) {
+            throw new TypeError("weights must be an array of the same length as xs");
+        }
+
+        const n = xs.length;
+        const sqrtWeights = xs.map((x, i) => {
+            const w = (weights === undefined) ? 1 : weights[i];
+
+            if (!(w >= 0)) {
+                throw new RangeError(`Weights must be non-negative numbers. Found '${w}'`);
+            }
+
+            return Math.sqrt(w);
+        });
+
+        if (sqrtWeights.every(w => w === 0)) {
+            throw new RangeError("At least one weight must be positive");
+        }
+
+        const min = xs.reduce((m, x) => Math.min(m, x), Infinity);
+        const max = xs.reduce((m, x) => Math.max(m, x), -Infinity);
+        const center = 0.5 * (min + max);
+        const halfWidth = (max > min) ? 0.5 * (max - min) : 1;
+        const us = xs.map(x => (x - center) / halfWidth);
+        let best;
+
+        if (degree !== undefined) {
+            if (isNaN(degree) || degree < 0 || Math.floor(degree) !== degree) {
+                throw new RangeError(`Degree must be a non-negative integer. Found '${degree}'`);
+            }
+            if (degree >= n) {
+                throw new RangeError("Degree must be less than the number of points");
+            }
+
+            best = leastSquares(us, ys, sqrtWeights, degree);
+        }
+        else {
+            let bestScore = Infinity;
+
+            for (let d = 0; d <= Math.min(maxDegree, n - 1); d++) {
+                const k = d + 1;
+                let candidate;
+
+                if (d > 0 && n - k - 1 <= 0) {
+                    // AICc needs at least one residual degree of freedom
+                    break;
+                }
+
+                try {
+                    candidate = leastSquares(us, ys, sqrtWeights, d);
+                }
+                catch (e) {
+                    if (e.constructor !== RangeError || e.message !== RANK_DEFICIENT) {
+                        throw e;
+                    }
+
+                    // not enough distinct x values for higher degrees
+                    break;
+                }
+
+                const correction = (n - k - 1 > 0) ? 2 * k * (k + 1) / (n - k - 1) : 0;
+                const score = n * Math.log(candidate.rss / n) + 2 * k + correction;
+
+                if (score < bestScore) {
+                    best = candidate;
+                    bestScore = score;
+                }
+
+                if (candidate.rss === 0) {
+                    break;
+                }
+            }
+        }
+
+        if (best === undefined) {
+            throw new RangeError("Unable to fit polynomial. No degree could be fitted to the points");
+        }
+
+        const scaled = new Polynomial();
+
+        scaled.coefs = best.coefs;
+
+        return {
+            polynomial: scaled.scaleVariable(1 / halfWidth).shift(-center),
+            degree: best.coefs.length - 1,
+            residual: Math.sqrt(best.rss),
+            condition: best.condition
+        };
+    }
+
+    /**
+     *  Parses a polynomial from text, such as the output of toString. Terms may
+     *  use *, ^ with non-negative integer exponents, implicit multiplication
+     *  and parentheses, which are expanded. Parse errors are thrown as
+     *  SyntaxError with a position property holding the offending offset.
+     *
+     *  @param {string} text
+     *  @param {PlainObject} [options]
+     *  @param {string} [options.variable] - Variable name, inferred from text when omitted
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    static parse(text, {variable} = {}) {
+        if (typeof text !== "string") {
+            throw new TypeError("text must be a string");
+        }
+
+        return parsePolynomial(text, variable);
+    }
+
+    /**
+     *  Resultant of two polynomials, computed as the determinant of their
+     *  Sylvester matrix. The nominal degrees, coefs.length - 1, are used, so
+     *  zero leading coefficients are kept as part of the matrix. The resultant
+     *  is zero exactly when the polynomials share a root.
+     *  @see {@link http://en.wikipedia.org/wiki/Resultant}
+     *
+     *  @param {module:kld-polynomial.Polynomial} p
+     *  @param {module:kld-polynomial.Polynomial} q
+     *  @returns {number}
+     */
+    static resultant(p, q) {
+        const m = p.coefs.length - 1;
+        const n = q.coefs.length - 1;
+
+        if (m < 0 || n < 0) {
+            return 0;
+        }
+
+        const size = m + n;
+        const matrix = [];
+
+        for (let row = 0; row < size; row++) {
+            const source = (row < n) ? p : q;
+            const offset = (row < n) ? row : row - n;
+            const degree = source.coefs.length - 1;
+            const values = new Array(size).fill(0);
+
+            for (let i = 0; i <= degree; i++) {
+                values[offset + i] = source.coefs[degree - i];
+            }
+
+            matrix.push(values);
+        }
+
+        // Gaussian elimination with partial pivoting
+        let determinant = 1;
+
+        for (let k = 0; k < size; k++) {
+            let pivot = k;
+
+            for (let row = k + 1; row < size; row++) {
+                if (Math.abs(matrix[row][k]) > Math.abs(matrix[pivot][k])) {
+                    pivot = row;
+                }
+            }
+
+            if (matrix[pivot][k] === 0) {
+                return 0;
+            }
+
+            if (pivot !== k) {
+                [matrix[pivot], matrix[k]] = [matrix[k], matrix[pivot]];
+                determinant = -determinant;
+            }
+
+            determinant *= matrix[k][k];
+
+            for (let row = k + 1; row < size; row++) {
+                const factor = matrix[row][k] / matrix[k][k];
+
+                for (let col = k; col < size; col++) {
+                    matrix[row][col] -= factor * matrix[k][col];
+                }
+            }
+        }
+
+        return determinant;
+    }
+
+    /**
+     *  Counts the sign changes of a Sturm sequence evaluated at x. Zeros are
+     *  skipped. signAt gives the sign of a member at x, so sequences with
+     *  other coefficient types, such as RationalPolynomial, can be counted
+     *  with exact signs.
+     *
+     *  @param {Array<module:kld-polynomial.Polynomial>} sequence
+     *  @param {*} x
+     *  @param {Function} [signAt] - (poly, x) => -1, 0 or 1
+     *  @returns {number}
+     */
+    static sturmSignChanges(sequence, x, signAt = (poly, value) => sign(poly.eval(value))) {
+        let changes = 0;
+        let previous = 0;
+
+        for (let i = 0; i < sequence.length; i++) {
+            const current = signAt(sequence[i], x);
+
+            if (current !== 0) {
+                if (previous !== 0 && current !== previous) {
+                    changes++;
+                }
+
+                previous = current;
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     *  Newton's (Newton-Raphson) method for finding Real roots on univariate function. <br/>
+     *  When using bounds, algorithm falls back to secant if newton goes out of range.
+     *  Bisection is fallback for secant when determined secant is not efficient enough.
+     *  @see {@link http://en.wikipedia.org/wiki/Newton%27s_method}
+     *  @see {@link http://en.wikipedia.org/wiki/Secant_method}
+     *  @see {@link http://en.wikipedia.org/wiki/Bisection_method}
+     *
+     *  @param {number} x0 - Initial root guess
+     *  @param {Function} f - Function which root we are trying to find
+     *  @param {Function} df - Derivative of function f
+     *  @param {number} max_iterations - Maximum number of algorithm iterations
+     *  @param {number} [min] - Left bound value
+     *  @param {number} [max] - Right bound value
+     *  @returns {number} root
+     */
+    static newtonSecantBisection(x0, f, df, max_iterations, min, max) {
+        let x, prev_dfx = 0, dfx, prev_x_ef_correction = 0, x_correction, x_new;
+        let y, y_atmin, y_atmax;
+
+        x = x0;
+
+        const ACCURACY = 14;
+        const min_correction_factor = Math.pow(10, -ACCURACY);
+        const isBounded = (typeof min === "number" && typeof max === "number");
+
+        if (isBounded) {
+            if (min > max) {
+                throw new RangeError("Min must be greater than max");
+            }
+
+            y_atmin = f(min);
+            y_atmax = f(max);
+
+            if (sign(y_atmin) === sign(y_atmax)) {
+                throw new RangeError("Y values of bounds must be of opposite sign");
+            }
+        }
+
+        const isEnoughCorrection = function() {
+            // stop if correction is too small or if correction is in simple loop
+            return (Math.abs(x_correction) <= min_correction_factor * Math.abs(x)) ||
+                (prev_x_ef_correction === (x - x_correction) - x);
+        };
+
+        for (let i = 0; i < max_iterations; i++) {
+            dfx = df(x);
+
+            if (dfx === 0) {
+                if (prev_dfx === 0) {
+                    // error
+                    throw new RangeError("df(x) is zero");
+                }
+                else {
+                    // use previous derivation value
+                    dfx = prev_dfx;
+                }
+                // or move x a little?
+                // dfx = df(x != 0 ? x + x * 1e-15 : 1e-15);
+            }
+
+            prev_dfx = dfx;
+            y = f(x);
+            x_correction = y / dfx;
+            x_new = x - x_correction;
+
+            if (isEnoughCorrection()) {
+                break;
+            }
+
+            if (isBounded) {
+                if (sign(y) === sign(y_atmax)) {
+                    max = x;
+                    y_atmax = y;
+                }
+                else if (sign(y) === sign(y_atmin)) {
+                    min = x;
+                    y_atmin = y;
+                }
+                else {
+                    x = x_new;
+                    break;
+                }
+
+                if ((x_new < min) || (x_new > max)) {
+                    if (sign(y_atmin) === sign(y_atmax)) {
+                        break;
+                    }
+
+                    const RATIO_LIMIT = 50;
+                    const AIMED_BISECT_OFFSET = 0.25; // [0, 0.5)
+                    const dy = y_atmax - y_atmin;
+                    const dx = max - min;
+
+                    if (dy === 0) {
+                        x_correction = x - (min + dx * 0.5);
+                    }
+                    else if (Math.abs(dy / Math.min(y_atmin, y_atmax)) > RATIO_LIMIT) {
+                        x_correction = x - (min + dx * (0.5 + (Math.abs(y_atmin) < Math.abs(y_atmax) ? -AIMED_BISECT_OFFSET : AIMED_BISECT_OFFSET)));
+                    }
+                    else {
+                        x_correction = x - (min - y_atmin / dy * dx);
+                    }
+                    x_new = x - x_correction;
+
+                    if (isEnoughCorrection()) {
+                        break;
+                    }
+                }
+            }
+
+            prev_x_ef_correction = x - x_new;
+            x = x_new;
+        }
+
+        return x;
+    }
+
+    /**
+     *  Registers a Polynomial subclass so fromJSON and reviver can restore
+     *  instances of it. The name is written to the type field of toJSON.
+     *
+     *  @param {string} name
+     *  @param {Function} polynomialClass
+     */
+    static registerType(name, polynomialClass) {
+        jsonTypes[name] = polynomialClass;
+    }
+
+    /**
+     *  Restores a polynomial from the object written by toJSON, for example
+     *  after parsing or a structured clone. The class recorded in the type
+     *  field is used, so subclasses such as SqrtPolynomial keep their type.
+     *  Coefficients may be in ascending or descending order.
+     *
+     *  @param {PlainObject} data
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    static fromJSON(data) {
+        if (data === null || typeof data !== "object") {
+            throw new TypeError("JSON data must be an object");
+        }
+        if (typeof data.version !== "number") {
+            throw new TypeError(`JSON version must be a number. Found '${data.version}'`);
+        }
+        if (!(data.version >= 1 && data.version <= JSON_VERSION && Math.floor(data.version) === data.version)) {
+            throw new RangeError(`Unsupported JSON version '${data.version}'`);
+        }
+
+        const Type = Object.prototype.hasOwnProperty.call(jsonTypes, data.type) ? jsonTypes[data.type] : undefined;
+
+        if (Type === undefined) {
+            throw new TypeError(`Unknown polynomial type '${data.type}'`);
+        }
+        if (!data.coefs || data.coefs.constructor !== Array || data.coefs.length === 0) {
+            throw new TypeError("coefs must be a non-empty array");
+        }
+        if (!data.coefs.every(c => typeof c === "number" && isFinite(c))) {
+            throw new TypeError("coefs must all be finite numbers");
+        }
+        if (data.order !== "ascending" && data.order !== "descending") {
+            throw new RangeError(`Unsupported coefficient order '${data.order}'`);
+        }
+
+        const result = new Type();
+
+        result.coefs = (data.order === "ascending") ? data.coefs.slice() : data.coefs.slice().reverse();
+
+        if (typeof data.variable === "string") {
+            result._variable = data.variable;
+        }
+
+        return result;
+    }
+
+    /**
+     *  Reviver for JSON.parse which restores polynomials written by toJSON
+     *  and leaves all other values untouched.
+     *
+     *  @param {string} key
+     *  @param {*} value
+     *  @returns {*}
+     */
+    static reviver(key, value) {
+        if (value !== null && typeof value === "object" &&
+            Object.prototype.hasOwnProperty.call(jsonTypes, value.type) &&
+            "version" in value && value.coefs && value.coefs.constructor === Array) {
+            return Polynomial.fromJSON(value);
+        }
+
+        return value;
+    }
+
+    /**
+     *  Serializes this polynomial as a versioned, structured-clone friendly
+     *  object recording its class, coefficient order and variable name.
+     *
+     *  @returns {{type: string, version: number, order: string, variable: string, coefs: Array<number>}}
+     */
+    toJSON() {
+        let type = "Polynomial";
+
+        for (const name in jsonTypes) {
+            if (Object.prototype.hasOwnProperty.call(jsonTypes, name) && jsonTypes[name] === this.constructor) {
+                type = name;
+                break;
+            }
+        }
+
+        return {
+            type,
+            version: JSON_VERSION,
+            order: "ascending",
+            variable: this._variable,
+            coefs: this.coefs.slice()
+        };
+    }
+
+    /**
+     *  Clones this polynomial and return the clone.
+     *
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    clone() {
+        const poly = new Polynomial();
+
+        poly.coefs = this.coefs.slice();
+
+        return poly;
+    }
+
+    /**
+     *  eval
+     *
+     *  @param {number} x
+     */
+    eval(x) {
+        if (isNaN(x)) {
+            throw new TypeError(`Parameter must be a number. Found '${x}'`);
+        }
+
+        let result = 0;
+
+        for (let i = this.coefs.length - 1; i >= 0; i--) {
+            result = result * x + this.coefs[i];
+        }
+
+        return result;
+    }
+
+    /**
+     *  Evaluates this polynomial at many points. Values are not validated, so
+     *  NaN inputs yield NaN outputs. Strides and offsets allow reading from and
+     *  writing into interleaved buffers, such as x/y pairs.
+     *
+     *  @param {Array<number>|Float64Array} xs
+     *  @param {Array<number>|Float64Array} [out] - defaults to a new Float64Array sized to fit
+     *  @param {PlainObject} [options]
+     *  @param {number} [options.stride] - distance between successive inputs
+     *  @param {number} [options.offset] - index of the first input
+     *  @param {number} [options.outStride] - distance between successive outputs
+     *  @param {number} [options.outOffset] - index of the first output
+     *  @returns {Array<number>|Float64Array} out
+     */
+    evalMany(xs, out, {stride = 1, offset = 0, outStride = 1, outOffset = 0} = {}) {
+        if (stride < 1 || outStride < 1 || offset < 0 || outOffset < 0) {
+            throw new RangeError("Strides must be positive and offsets non-negative");
+        }
+
+        const count = (xs.length > offset) ? Math.floor((xs.length - offset - 1) / stride) + 1 : 0;
+        const size = (count > 0) ? outOffset + (count - 1) * outStride + 1 : 0;
+
+        if (out === undefined) {
+            // fall back to a plain array where typed arrays are not available
+            out = (typeof Float64Array === "function")
+                ? new Float64Array(size) // eslint-disable-line compat/compat
+                : new Array(size).fill(0);
+        }
+        else if (out.length < size) {
+            throw new RangeError("Output buffer is too small");
+        }
+
+        const {coefs} = this;
+        const n = coefs.length - 1;
+
+        for (let k = 0, i = offset, o = outOffset; k < count; k++, i += stride, o += outStride) {
+            const x = xs[i];
+            let result = 0;
+
+            for (let j = n; j >= 0; j--) {
+                result = result * x + coefs[j];
+            }
+
+            out[o] = result;
+        }
+
+        return out;
+    }
+
+    /**
+     *  Compensated Horner evaluation. The rounding errors of each Horner step
+     *  are captured with error-free transformations and added back, so the
+     *  result is as accurate as if evaluated in twice the working precision.
+     *  errorBound is an a posteriori bound on |value - p(x)|.
+     *  @see {@link https://doi.org/10.1007/s10543-007-0107-0}
+     *
+     *  @param {number} x
+     *  @returns {{value: number, errorBound: number}}
+     */
+    evalCompensated(x) {
+        if (isNaN(x)) {
+            throw new TypeError(`Parameter must be a number. Found '${x}'`);
+        }
+
+        const n = this.coefs.length - 1;
+        const absX = Math.abs(x);
+        let sum = (n >= 0) ? this.coefs[n] : 0;
+        let correction = 0;
+        let absCorrection = 0;
+
+        for (let i = n - 1; i >= 0; i--) {
+            const {product, error: productError} = twoProduct(sum, x);
+            const {sum: next, error: sumError} = twoSum(product, this.coefs[i]);
+
+            sum = next;
+            correction = correction * x + (productError + sumError);
+            absCorrection = absCorrection * absX + (Math.abs(productError) + Math.abs(sumError));
+        }
+
+        const value = sum + correction;
+        const absValue = Math.abs(value);
+        const errorBound = (
+            UNIT_ROUNDOFF * absValue +
+            (gamma(4 * n + 2) * absCorrection + 2 * UNIT_ROUNDOFF * UNIT_ROUNDOFF * absValue)
+        ) / (1 - 2 * (n + 1) * UNIT_ROUNDOFF);
+
+        return {value, errorBound};
+    }
+
+    /**
+     *  Rigorous enclosure of the values of this polynomial over [lo, hi],
+     *  computed with interval Horner evaluation and outward rounding. The
+     *  enclosure may overestimate the true range, but never misses a value.
+     *
+     *  @param {number} lo
+     *  @param {number} hi
+     *  @returns {{min: number, max: number}}
+     */
+    evalInterval(lo, hi) {
+        if (isNaN(lo) || isNaN(hi)) {
+            throw new TypeError("Parameters must be numbers");
+        }
+        if (lo > hi) {
+            throw new RangeError("Lo must be less than or equal to hi");
+        }
+
+        let min = 0;
+        let max = 0;
+
+        for (let i = this.coefs.length - 1; i >= 0; i--) {
+            const products = [min * lo, min * hi, max * lo, max * hi];
+
+            min = roundDown(Math.min(...products) + this.coefs[i]);
+            max = roundUp(Math.max(...products) + this.coefs[i]);
+        }
+
+        return {min, max};
+    }
+
+    /**
+     *  add
+     *
+     *  @param {module:kld-polynomial.Polynomial} that
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    add(that) {
+        const result = new Polynomial();
+        const d1 = this.getDegree();
+        const d2 = that.getDegree();
+        const dmax = Math.max(d1, d2);
+
+        for (let i = 0; i <= dmax; i++) {
+            const v1 = (i <= d1) ? this.coefs[i] : 0;
+            const v2 = (i <= d2) ? that.coefs[i] : 0;
+
+            result.coefs[i] = v1 + v2;
+        }
+
+        return result;
+    }
+
+    /**
+     *  multiply
+     *
+     *  @param {module:kld-polynomial.Polynomial} that
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    multiply(that) {
+        const result = new Polynomial();
+
+        for (let i = 0; i <= this.getDegree() + that.getDegree(); i++) {
+            result.coefs.push(0);
+        }
+
+        for (let i = 0; i <= this.getDegree(); i++) {
+            for (let j = 0; j <= that.getDegree(); j++) {
+                result.coefs[i + j] += this.coefs[i] * that.coefs[j];
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     *  Polynomial long division. Leading coefficients of the divisor whose
+     *  magnitude is at most TOLERANCE are dropped, as simplify does.
+     *  Leading remainder coefficients that are small relative to the largest
+     *  coefficient of this polynomial are treated as round-off and removed. A
+     *  zero quotient or remainder is returned as the constant polynomial 0.
+     *
+     *  @param {module:kld-polynomial.Polynomial} that
+     *  @param {number} [TOLERANCE]
+     *  @returns {{quotient: module:kld-polynomial.Polynomial, remainder: module:kld-polynomial.Polynomial}}
+     */
+    divide(that, TOLERANCE = 1e-12) {
+        const divisor = that.simplify(TOLERANCE);
+
+        const dd = divisor.getDegree();
+
+        if (dd < 0) {
+            throw new RangeError("Cannot divide by a zero polynomial");
+        }
+
+        const lead = divisor.coefs[dd];
+        const r = this.coefs.slice();
+        const q = [];
+
+        for (let i = r.length - 1; i >= dd; i--) {
+            const value = r[i] / lead;
+
+            q[i - dd] = value;
+
+            for (let j = 0; j < dd; j++) {
+                r[i - dd + j] -= value * divisor.coefs[j];
+            }
+        }
+
+        r.length = Math.min(r.length, dd);
+
+        const scale = this.coefs.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+
+        while (r.length > 0 && Math.abs(r[r.length - 1]) <= TOLERANCE * scale) {
+            r.pop();
+        }
+
+        const quotient = new Polynomial();
+        const remainder = new Polynomial();
+
+        quotient.coefs = (q.length > 0) ? q : [0];
+        remainder.coefs = (r.length > 0) ? r : [0];
+
+        return {quotient, remainder};
+    }
+
+    /**
+     *  Greatest common divisor by the Euclidean algorithm. Both operands are
+     *  made monic at each step and remainders are cleaned with TOLERANCE, so
+     *  round-off does not hide common factors. The result is monic.
+     *
+     *  @param {module:kld-polynomial.Polynomial} that
+     *  @param {number} [TOLERANCE]
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    gcd(that, TOLERANCE = 1e-10) {
+        let a = this.simplify();
+        let b = that.simplify();
+
+        if (a.getDegree() < b.getDegree()) {
+            [a, b] = [b, a];
+        }
+
+        if (a.getDegree() < 0) {
+            return new Polynomial(0);
+        }
+
+        a = a.getMonic();
+
+        while (b.getDegree() >= 0 && !(b.getDegree() === 0 && b.coefs[0] === 0)) {
+            b = b.getMonic();
+
+            const r = a.divide(b, TOLERANCE).remainder;
+
+            a = b;
+            b = r;
+        }
+
+        return a.removeZeros(TOLERANCE);
+    }
+
+    /**
+     *  Square-free factorization based on Musser's algorithm. The polynomial is
+     *  split into monic factors that have no repeated roots, each paired with
+     *  its multiplicity. The product of factor^multiplicity times the leading
+     *  coefficient of this polynomial gives back the polynomial. Factors are
+     *  listed in order of increasing multiplicity.
+     *
+     *  @param {number} [TOLERANCE]
+     *  @returns {Array<{factor: module:kld-polynomial.Polynomial, multiplicity: number}>}
+     */
+    squareFreeFactorization(TOLERANCE = 1e-10) {
+        const result = [];
+        const poly = this.simplify();
+        const n = poly.getDegree();
+
+        if (n < 1) {
+            return result;
+        }
+
+        let g = poly.gcd(poly.getDerivative(), TOLERANCE);
+        let w = poly.divide(g, TOLERANCE).quotient.getMonic();
+
+        for (let i = 1; i <= n && w.getDegree() > 0; i++) {
+            const y = w.gcd(g, TOLERANCE);
+            const z = w.divide(y, TOLERANCE).quotient;
+
+            if (z.getDegree() > 0) {
+                result.push({factor: z.getMonic(), multiplicity: i});
+            }
+
+            w = y;
+            g = g.divide(y, TOLERANCE).quotient;
+        }
+
+        return result;
+    }
+
+    /**
+     *  Composition of polynomials, p(q(t)), where p is this polynomial and q
+     *  is that polynomial.
+     *
+     *  @param {module:kld-polynomial.Polynomial} that
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    compose(that) {
+        const n = this.coefs.length - 1;
+        let result = new Polynomial((n >= 0) ? this.coefs[n] : 0);
+
+        for (let i = n - 1; i >= 0; i--) {
+            result = result.multiply(that).add(new Polynomial(this.coefs[i]));
+        }
+
+        return result;
+    }
+
+    /**
+     *  Taylor shift, p(t + c), computed by repeated synthetic division.
+     *
+     *  @param {number} c
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    shift(c) {
+        const result = this.clone();
+        const b = result.coefs;
+        const n = b.length - 1;
+
+        for (let i = 0; i < n; i++) {
+            for (let j = n - 1; j >= i; j--) {
+                b[j] += c * b[j + 1];
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     *  Scales the variable, p(k * t).
+     *
+     *  @param {number} k
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    scaleVariable(k) {
+        const result = this.clone();
+        let factor = 1;
+
+        for (let i = 0; i < result.coefs.length; i++) {
+            result.coefs[i] *= factor;
+            factor *= k;
+        }
+
+        return result;
+    }
+
+    /**
+     *  subtract
+     *
+     *  @param {module:kld-polynomial.Polynomial} that
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    subtract(that) {
+        return this.add(that.negate());
+    }
+
+    /**
+     *  negate
+     *
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    negate() {
+        return this.multiplyScalar(-1);
+    }
+
+    /**
+     *  multiplyScalar
+     *
+     *  @param {number} scalar
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    multiplyScalar(scalar) {
+        const result = new Polynomial();
+
+        result.coefs = this.coefs.map(c => c * scalar);
+
+        return result;
+    }
+
+    /**
+     *  divideScalar
+     *
+     *  @param {number} scalar
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    divideScalar(scalar) {
+        const result = new Polynomial();
+
+        result.coefs = this.coefs.map(c => c / scalar);
+
+        return result;
+    }
+
+    /**
+     *  Raises this polynomial to a non-negative integer power by repeated
+     *  squaring.
+     *
+     *  @param {number} n
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    pow(n) {
+        if (isNaN(n) || n < 0 || Math.floor(n) !== n) {
+            throw new RangeError(`Exponent must be a non-negative integer. Found '${n}'`);
+        }
+
+        let result = new Polynomial(1);
+        let base = this;
+
+        while (n > 0) {
+            if (n & 1) {
+                result = result.multiply(base);
+            }
+
+            n >>= 1;
+
+            if (n > 0) {
+                base = base.multiply(base);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     *  Returns a copy of this polynomial with leading coefficients at or below
+     *  TOLERANCE removed.
+     *
+     *  @param {number} [TOLERANCE]
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    simplify(TOLERANCE = 1e-12) {
+        const result = this.clone();
+
+        result.simplifyEquals(TOLERANCE);
+
+        return result;
+    }
+
+    /**
+     *  Returns a copy of this polynomial with small coefficients set to zero.
+     *
+     *  @param {number} [TOLERANCE]
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    removeZeros(TOLERANCE = 1e-15) {
+        return this.clone().removeZerosEquals(TOLERANCE);
+    }
+
+    /**
+     *  Returns a copy of this polynomial scaled so that its leading coefficient
+     *  is 1.
+     *
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    getMonic() {
+        return this.clone().monicEquals();
+    }
+
+    /**
+     *  divideEqualsScalar
+     *
+     *  @deprecated Use divideScalar instead
+     *  @param {number} scalar
+     */
+    divideEqualsScalar(scalar) {
+        for (let i = 0; i < this.coefs.length; i++) {
+            this.coefs[i] /= scalar;
+        }
+    }
+
+    /**
+     *  simplifyEquals
+     *
+     *  @deprecated Use simplify instead
+     *  @param {number} TOLERANCE
+     */
+    simplifyEquals(TOLERANCE = 1e-12) {
+        for (let i = this.getDegree(); i >= 0; i--) {
+            if (Math.abs(this.coefs[i]) <= TOLERANCE) {
+                this.coefs.pop();
+            }
+            else {
+                break;
+            }
+        }
+    }
+
+    /**
+     *  Sets small coefficients to zero.
+     *
+     *  @deprecated Use removeZeros instead
+     *  @param {number} TOLERANCE
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    removeZerosEquals(TOLERANCE = 1e-15) {
+        const c = this.coefs;
+        const err = 10 * TOLERANCE * Math.abs(
+            c.reduce((pv, cv) => {
+                return Math.abs(cv) > Math.abs(pv) ? cv : pv;
+            })
+        );
+
+        for (let i = 0; i < c.length - 1; i++) {
+            if (Math.abs(c[i]) < err) {
+                c[i] = 0;
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     *  Scales polynomial so that leading coefficient becomes 1.
+     *
+     *  @deprecated Use getMonic instead
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    monicEquals() {
+        const c = this.coefs;
+
+        if (c[c.length - 1] !== 1) {
+            this.divideEqualsScalar(c[c.length - 1]);
+        }
+
+        return this;
+    }
+
+    /**
+     *  Formats this polynomial as text.
+     *
+     *  Coefficients are printed at full precision unless precision (significant
+     *  digits) or decimals (fixed decimal places) are given. When both are
+     *  given, decimals is applied first. Terms whose coefficient rounds to zero
+     *  are omitted and the zero polynomial prints as 0.
+     *
+     *  @param {PlainObject} [options]
+     *  @param {number} [options.precision] - Significant digits
+     *  @param {number} [options.decimals] - Decimal places
+     *  @param {string} [options.variable] - Defaults to the polynomial's variable
+     *  @param {"ascending"|"descending"} [options.order="descending"]
+     *  @param {"plain"|"latex"|"mathml"|"unicode"} [options.style="plain"]
+     *  @returns {string}
+     */
+    format({precision, decimals, variable = this._variable, order = "descending", style = "plain"} = {}) {
+        if (order !== "ascending" && order !== "descending") {
+            throw new RangeError(`Unsupported order '${order}'`);
+        }
+        if (!(style in formatStyles)) {
+            throw new RangeError(`Unsupported style '${style}'`);
+        }
+        if (precision !== undefined && !(precision >= 1 && precision <= 100 && Math.floor(precision) === precision)) {
+            throw new RangeError(`Precision must be an integer from 1 to 100. Found '${precision}'`);
+        }
+        if (decimals !== undefined && !(decimals >= 0 && decimals <= 100 && Math.floor(decimals) === decimals)) {
+            throw new RangeError(`Decimals must be an integer from 0 to 100. Found '${decimals}'`);
+        }
+
+        const formatter = formatStyles[style];
+        const n = this.coefs.length;
+        const terms = [];
+
+        for (let k = 0; k < n; k++) {
+            const i = (order === "descending") ? n - 1 - k : k;
+            let value = this.coefs[i];
+
+            if (decimals !== undefined) {
+                const scale = Math.pow(10, decimals);
+
+                value = Math.round(value * scale) / scale;
+            }
+            if (precision !== undefined) {
+                value = Number(value.toPrecision(precision));
+            }
+
+            if (value !== 0) {
+                const magnitude = Math.abs(value);
+                const coefficient = (magnitude === 1 && i > 0) ? "" : formatter.number(String(magnitude));
+
+                terms.push({
+                    negative: value < 0,
+                    text: formatter.term(coefficient, (i > 0) ? variable : "", i)
+                });
+            }
+        }
+
+        if (terms.length === 0) {
+            return formatter.wrap(formatter.number("0"));
+        }
+
+        let result = terms[0].negative ? formatter.sign(true, true) : "";
+
+        for (let i = 0; i < terms.length; i++) {
+            if (i > 0) {
+                result += formatter.sign(terms[i].negative, false);
+            }
+
+            result += terms[i].text;
+        }
+
+        return formatter.wrap(result);
+    }
+
+    /**
+     *  toString
+     *
+     *  @returns {string}
+     */
+    toString() {
+        return this.format({decimals: 3});
+    }
+
+    /**
+     *  bisection
+     *
+     *  @param {number} min
+     *  @param {number} max
+     *  @param {number} [TOLERANCE]
+     *  @param {number} [ACCURACY]
+     *  @returns {number}
+     */
+    bisection(min, max, TOLERANCE = 1e-6, ACCURACY = 15) {
+        let minValue = this.eval(min);
+        let maxValue = this.eval(max);
+        let result;
+
+        if (Math.abs(minValue) <= TOLERANCE) {
+            result = min;
+        }
+        else if (Math.abs(maxValue) <= TOLERANCE) {
+            result = max;
+        }
+        else if (minValue * maxValue <= 0) {
+            const tmp1 = Math.log(max - min);
+            const tmp2 = Math.LN10 * ACCURACY;
+            const maxIterations = Math.ceil((tmp1 + tmp2) / Math.LN2);
+
+            for (let i = 0; i < maxIterations; i++) {
+                result = 0.5 * (min + max);
+                const value = this.eval(result);
+
+                if (Math.abs(value) <= TOLERANCE) {
+                    break;
+                }
+
+                if (value * minValue < 0) {
+                    max = result;
+                    maxValue = value;
+                }
+                else {
+                    min = result;
+                    minValue = value;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     *  Interval Newton refinement of a root on [min, max]. An estimate from
+     *  newtonSecantBisection centers each Newton step, and the bracket is
+     *  intersected with the interval Newton image until it stops shrinking.
+     *  The bracket is certified to hold exactly one root once an image falls
+     *  strictly inside it.
+     *
+     *  @param {number} min
+     *  @param {number} max
+     *  @param {number} [MAX_ITERATIONS]
+     *  @returns {?{min: number, max: number}} certified bracket, or null when
+     *  no root could be certified
+     */
+    intervalNewton(min, max, MAX_ITERATIONS = 100) {
+        if (isNaN(min) || isNaN(max)) {
+            throw new TypeError("Parameters must be numbers");
+        }
+        if (min > max) {
+            throw new RangeError("Min must be less than or equal to max");
+        }
+
+        const deriv = this.getDerivative();
+        let estimate = (min + max) / 2;
+
+        // keep the midpoint when the derivative vanishes there, as Newton can
+        // not take its first step
+        if (sign(this.eval(min)) !== sign(this.eval(max)) && deriv.eval(estimate) !== 0) {
+            estimate = Polynomial.newtonSecantBisection(
+                estimate, x => this.eval(x), x => deriv.eval(x), 100, min, max
+            );
+        }
+
+        let lo = min;
+        let hi = max;
+        let certified = false;
+
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            const slope = deriv.evalInterval(lo, hi);
+            const center = (lo < estimate && estimate < hi) ? estimate : (lo + hi) / 2;
+
+            if (slope.min <= 0 && slope.max >= 0) {
+                // the slope may vanish, so close in on the estimate instead
+                const width = (hi - lo) / 4;
+                const nextLo = Math.max(lo, center - width);
+                const nextHi = Math.min(hi, center + width);
+
+                if (nextLo === lo && nextHi === hi) {
+                    break;
+                }
+
+                lo = nextLo;
+                hi = nextHi;
+                continue;
+            }
+
+            const value = this.evalInterval(center, center);
+            const quotients = [
+                value.min / slope.min, value.min / slope.max,
+                value.max / slope.min, value.max / slope.max
+            ];
+            const imageLo = roundDown(center - roundUp(Math.max(...quotients)));
+            const imageHi = roundUp(center - roundDown(Math.min(...quotients)));
+
+            if (imageHi < lo || imageLo > hi) {
+                // no root in [lo, hi]
+                return null;
+            }
+
+            if (lo < imageLo && imageHi < hi) {
+                certified = true;
+            }
+
+            const nextLo = Math.max(lo, imageLo);
+            const nextHi = Math.min(hi, imageHi);
+
+            if (nextLo === lo && nextHi === hi) {
+                break;
+            }
+
+            lo = nextLo;
+            hi = nextHi;
+        }
+
+        return certified ? {min: lo, max: hi} : null;
+    }
+
+    /**
+     *  Based on trapzd in "Numerical Recipes in C, 2nd Edition", page 137
+     *
+     *  @param {number} min
+     *  @param {number} max
+     *  @param {number} n
+     *  @returns {number}
+     */
+    trapezoid(min, max, n) {
+        if (isNaN(min) || isNaN(max) || isNaN(n)) {
+            throw new TypeError("Parameters must be numbers");
+        }
+
+        const range = max - min;
+
+        if (n === 1) {
+            const minValue = this.eval(min);
+            const maxValue = this.eval(max);
+
+            this._s = 0.5 * range * (minValue + maxValue);
+        }
+        else {
+            const iter = 1 << (n - 2);
+            const delta = range / iter;
+            let x = min + 0.5 * delta;
+            let sum = 0;
+
+            for (let i = 0; i < iter; i++) {
+                sum += this.eval(x);
+                x += delta;
+            }
+
+            this._s = 0.5 * (this._s + range * sum / iter);
+        }
+
+        if (isNaN(this._s)) {
+            throw new TypeError("this._s is NaN");
+        }
+
+        return this._s;
+    }
+
+    /**
+     *  Based on trapzd in "Numerical Recipes in C, 2nd Edition", page 139
+     *
+     *  @param {number} min
+     *  @param {number} max
+     *  @returns {number}
+     */
+    simpson(min, max) {
+        if (isNaN(min) || isNaN(max)) {
+            throw new TypeError("Parameters must be numbers");
+        }
+
+        const range = max - min;
+        let st = 0.5 * range * (this.eval(min) + this.eval(max));
+        let t = st;
+        let s = 4.0 * st / 3.0;
+        let os = s;
+        let ost = st;
+        const TOLERANCE = 1e-7;
+
+        let iter = 1;
+
+        for (let n = 2; n <= 20; n++) {
+            const delta = range / iter;
+            let x = min + 0.5 * delta;
+            let sum = 0;
+
+            for (let i = 1; i <= iter; i++) {
+                sum += this.eval(x);
+                x += delta;
+            }
+
+            t = 0.5 * (t + range * sum / iter);
+            st = t;
+            s = (4.0 * st - ost) / 3.0;
+
+            if (Math.abs(s - os) < TOLERANCE * Math.abs(os)) {
+                break;
+            }
+
+            os = s;
+            ost = st;
+            iter <<= 1;
+        }
+
+        return s;
+    }
+
+    /**
+     *  romberg
+     *
+     *  @param {number} min
+     *  @param {number} max
+     *  @returns {number}
+     */
+    romberg(min, max) {
+        if (isNaN(min) || isNaN(max)) {
+            throw new TypeError("Parameters must be numbers");
+        }
+
+        const MAX = 20;
+        const K = 3;
+        const TOLERANCE = 1e-6;
+        const s = new Array(MAX + 1);
+        const h = new Array(MAX + 1);
+        let result = {y: 0, dy: 0};
+
+        h[0] = 1.0;
+
+        for (let j = 1; j <= MAX; j++) {
+            s[j - 1] = this.trapezoid(min, max, j);
+
+            if (j >= K) {
+                result = Polynomial.interpolate(h, s, K, j - K, 0.0);
+                if (Math.abs(result.dy) <= TOLERANCE * result.y) {
+                    break;
+                }
+            }
+
+            s[j] = s[j - 1];
+            h[j] = 0.25 * h[j - 1];
+        }
+
+        return result.y;
+    }
+
+    /**
+     *  Integral of sqrt(p(t)) over [min, max], such as the arc length of a
+     *  parametric curve when p is the squared speed. Uses adaptive
+     *  Gauss-Legendre quadrature.
+     *
+     *  The interval is split at the roots of p, where sqrt(p) is not smooth.
+     *  Round-off can leave p slightly negative where it touches zero. Values
+     *  above -clampTolerance are treated as zero. Values below that throw a
+     *  RangeError when onNegative is "throw", and are treated as zero when it
+     *  is "clamp".
+     *
+     *  @param {number} min
+     *  @param {number} max
+     *  @param {PlainObject} [options]
+     *  @param {number} [options.tolerance] - relative error target
+     *  @param {number} [options.clampTolerance]
+     *  @param {string} [options.onNegative] - "throw" or "clamp"
+     *  @param {number} [options.maxEvaluations] - integrand evaluations allowed
+     *  before a RangeError is thrown
+     *  @returns {number}
+     */
+    sqrtIntegral(min, max, options) {
+        if (isNaN(min) || isNaN(max)) {
+            throw new TypeError("Parameters must be numbers");
+        }
+
+        return sqrtIntegrator(this, options)(min, max);
+    }
+
+    /**
+     *  Inverse of sqrtIntegral: the parameter t in [min, max] at which the
+     *  integral of sqrt(p) from min reaches s. With p the squared speed of a
+     *  curve, this places points at equal distances along it.
+     *
+     *  @param {number} s - between 0 and sqrtIntegral(min, max)
+     *  @param {number} min
+     *  @param {number} max
+     *  @param {PlainObject} [options] - passed to sqrtIntegral
+     *  @returns {number}
+     */
+    getParameterAtSqrtIntegral(s, min, max, options) {
+        if (isNaN(s) || isNaN(min) || isNaN(max)) {
+            throw new TypeError("Parameters must be numbers");
+        }
+        if (min > max) {
+            throw new RangeError("Min must be less than or equal to max");
+        }
+
+        const integrate = sqrtIntegrator(this, options);
+        const total = integrate(min, max);
+
+        if (s < 0 || s > total) {
+            throw new RangeError(`s must be between 0 and ${total}. Found '${s}'`);
+        }
+        if (s === 0) {
+            return min;
+        }
+        if (s === total) {
+            return max;
+        }
+
+        // integrate on from the last evaluated parameter, which Newton keeps close
+        let lastT = min;
+        let lastS = 0;
+        const f = t => {
+            lastS += integrate(lastT, t);
+            lastT = t;
+
+            return lastS - s;
+        };
+        // a zero derivative makes newtonSecantBisection fall back to secant steps
+        const df = t => Math.sqrt(Math.max(this.eval(t), 0)) || Number.MIN_VALUE;
+
+        return Polynomial.newtonSecantBisection(min + (max - min) * s / total, f, df, 100, min, max);
+    }
+
+    /**
+     *  Exact definite integral using the antiderivative. Unlike trapezoid,
+     *  simpson and romberg, no approximation is involved.
+     *
+     *  @param {number} min
+     *  @param {number} max
+     *  @returns {number}
+     */
+    integrate(min, max) {
+        if (isNaN(min) || isNaN(max)) {
+            throw new TypeError("Parameters must be numbers");
+        }
+
+        const antiderivative = this.getAntiderivative();
+
+        return antiderivative.eval(max) - antiderivative.eval(min);
+    }
+
+    /**
+     *  Estimate what is the maximum polynomial evaluation error value under which polynomial evaluation could be in fact 0.
+     *
+     *  @param {number} maxAbsX
+     *  @returns {number}
+     */
+    zeroErrorEstimate(maxAbsX) {
+        const poly = this;
+        const ERRF = 1e-15;
+
+        if (typeof maxAbsX === "undefined") {
+            const rb = poly.bounds();
+
+            maxAbsX = Math.max(Math.abs(rb.minX), Math.abs(rb.maxX));
+        }
+
+        if (maxAbsX < 0.001) {
+            return 2 * Math.abs(poly.eval(ERRF));
+        }
+
+        const n = poly.coefs.length - 1;
+        const an = poly.coefs[n];
+
+        return 10 * ERRF * poly.coefs.reduce((m, v, i) => {
+            const nm = v / an * Math.pow(maxAbsX, i);
+            return nm > m ? nm : m;
+        }, 0);
+    }
+
+    /**
+     *  Discriminant, (-1)^(n(n-1)/2) / a_n * resultant(p, p'). It is zero when
+     *  there is a repeated root. For polynomials with Real coefficients and
+     *  distinct roots, its sign tells whether the number of non-Real root pairs
+     *  is even (positive) or odd (negative).
+     *  @see {@link http://en.wikipedia.org/wiki/Discriminant}
+     *
+     *  @returns {number}
+     */
+    discriminant() {
+        const poly = this.simplify(0);
+        const n = poly.getDegree();
+
+        if (n < 1) {
+            throw new RangeError("Discriminant requires a polynomial of degree 1 or more");
+        }
+
+        const parity = (n * (n - 1) / 2) % 2 === 0 ? 1 : -1;
+
+        return parity * Polynomial.resultant(poly, poly.getDerivative()) / poly.coefs[n];
+    }
+
+    /**
+     *  Calculates upper Real roots bounds. <br/>
+     *  Real roots are in interval [negX, posX]. Determined by Fujiwara method.
+     *  @see {@link http://en.wikipedia.org/wiki/Properties_of_polynomial_roots}
+     *
+     *  @returns {{ negX: number, posX: number }}
+     */
+    boundsUpperRealFujiwara() {
+        let a = this.coefs;
+        const n = a.length - 1;
+        const an = a[n];
+
+        if (an !== 1) {
+            a = this.coefs.map(v => v / an);
+        }
+
+        const b = a.map((v, i) => {
+            return (i < n)
+                ? Math.pow(Math.abs((i === 0) ? v / 2 : v), 1 / (n - i))
+                : v;
+        });
+
+        let coefSelectionFunc;
+        const find2Max = function(acc, bi, i) {
+            if (coefSelectionFunc(i)) {
+                if (acc.max < bi) {
+                    acc.nearmax = acc.max;
+                    acc.max = bi;
+                }
+                else if (acc.nearmax < bi) {
+                    acc.nearmax = bi;
+                }
+            }
+            return acc;
+        };
+
+        coefSelectionFunc = function(i) {
+            return i < n && a[i] < 0;
+        };
+
+        // eslint-disable-next-line unicorn/no-fn-reference-in-iterator
+        const max_nearmax_pos = b.reduce(find2Max, {max: 0, nearmax: 0});
+
+        coefSelectionFunc = function(i) {
+            return i < n && ((n % 2 === i % 2) ? a[i] < 0 : a[i] > 0);
+        };
+
+        // eslint-disable-next-line unicorn/no-fn-reference-in-iterator
+        const max_nearmax_neg = b.reduce(find2Max, {max: 0, nearmax: 0});
+
+        return {
+            negX: -2 * max_nearmax_neg.max,
+            posX: 2 * max_nearmax_pos.max
+        };
+    }
+
+    /**
+     *  Calculates lower Real roots bounds. <br/>
+     *  There are no Real roots in interval <negX, posX>. Determined by Fujiwara method.
+     *  @see {@link http://en.wikipedia.org/wiki/Properties_of_polynomial_roots}
+     *
+     *  @returns {{ negX: number, posX: number }}
+     */
+    boundsLowerRealFujiwara() {
+        const poly = new Polynomial();
+
+        poly.coefs = this.coefs.slice().reverse();
+
+        const res = poly.boundsUpperRealFujiwara();
+
+        res.negX = 1 / res.negX;
+        res.posX = 1 / res.posX;
+
+        return res;
+    }
+
+    /**
+     *  Calculates left and right Real roots bounds. <br/>
+     *  Real roots are in interval [minX, maxX]. Combines Fujiwara lower and upper bounds to get minimal interval.
+     *  @see {@link http://en.wikipedia.org/wiki/Properties_of_polynomial_roots}
+     *
+     *  @returns {{ minX: number, maxX: number }}
+    */
+    bounds() {
+        const urb = this.boundsUpperRealFujiwara();
+        const rb = {minX: urb.negX, maxX: urb.posX};
+
+        if (urb.negX === 0 && urb.posX === 0) {
+            return rb;
+        }
+
+        if (urb.negX === 0) {
+            rb.minX = this.boundsLowerRealFujiwara().posX;
+        }
+        else if (urb.posX === 0) {
+            rb.maxX = this.boundsLowerRealFujiwara().negX;
+        }
+
+        if (rb.minX > rb.maxX) {
+            rb.minX = rb.maxX = 0;
+        }
+
+        return rb;
+    }
+
+    /**
+     *  Calculates left and right Real roots bounds like bounds(), narrowed to
+     *  the Laguerre bounds when Sturm's theorem shows that all roots are Real
+     *  and distinct. Building the Sturm sequence makes this much slower than
+     *  bounds().
+     *  @see {@link http://en.wikipedia.org/wiki/Properties_of_polynomial_roots}
+     *
+     *  @returns {{ minX: number, maxX: number }}
+     */
+    boundsTight() {
+        const rb = this.bounds();
+        const n = this.getDegree();
+
+        if (n > 2 && this.countRealRootsInInterval(rb.minX, rb.maxX) === n) {
+            const lrb = this.boundsRealLaguerre();
+
+            if (!isNaN(lrb.minX) && !isNaN(lrb.maxX)) {
+                rb.minX = Math.max(rb.minX, lrb.minX);
+                rb.maxX = Math.min(rb.maxX, lrb.maxX);
+            }
+        }
+
+        return rb;
+    }
+
+    /**
+     *  Calculates absolute upper roots bound. <br/>
+     *  All (Complex and Real) roots magnitudes are &lt;= result. Determined by Rouche method.
+     *  @see {@link http://en.wikipedia.org/wiki/Properties_of_polynomial_roots}
+     *
+     *  @returns {number}
+     */
+    boundUpperAbsRouche() {
+        const a = this.coefs;
+        const n = a.length - 1;
+        const max = a.reduce((prev, curr, i) => {
+            if (i !== n) {
+                curr = Math.abs(curr);
+                return (prev < curr) ? curr : prev;
+            }
+            return prev;
+        }, 0);
+
+        return 1 + max / Math.abs(a[n]);
+    }
+
+    /**
+     *  Calculates absolute lower roots bound. <br/>
+     *  All (Complex and Real) roots magnitudes are &gt;= result. Determined by Rouche method.
+     *  @see {@link http://en.wikipedia.org/wiki/Properties_of_polynomial_roots}
+     *
+     *  @returns {number}
+     */
+    boundLowerAbsRouche() {
+        const a = this.coefs;
+        const max = a.reduce((prev, curr, i) => {
+            if (i !== 0) {
+                curr = Math.abs(curr);
+                return (prev < curr) ? curr : prev;
+            }
+            return prev;
+        }, 0);
+
+        return Math.abs(a[0]) / (Math.abs(a[0]) + max);
+    }
+
+    /**
+     *  Calculates left and right Real roots bounds.<br/>
+     *  WORKS ONLY if all polynomial roots are Real.
+     *  Real roots are in interval [minX, maxX]. Determined by Laguerre method.
+     *  @see {@link http://en.wikipedia.org/wiki/Properties_of_polynomial_roots}
+     *
+     *  @returns {{ minX: number, maxX: number }}
+     */
+    boundsRealLaguerre() {
+        const a = this.coefs;
+        const n = a.length - 1;
+        const p1 = -a[n - 1] / (n * a[n]);
+        const undersqrt = a[n - 1] * a[n - 1] - 2 * n / (n - 1) * a[n] * a[n - 2];
+        let p2 = (n - 1) / (n * a[n]) * Math.sqrt(undersqrt);
+
+        if (p2 < 0) {
+            p2 = -p2;
+        }
+
+        return {
+            minX: p1 - p2,
+            maxX: p1 + p2
+        };
+    }
+
+    /**
+     *  Root count by Descartes rule of signs. <br/>
+     *  Returns maximum number of positive and negative real roots and minimum number of complex roots.
+     *  @see {@link http://en.wikipedia.org/wiki/Descartes%27_rule_of_signs}
+     *
+     *  @returns {{maxRealPos: number, maxRealNeg: number, minComplex: number}}
+     */
+    countRootsDescartes() {
+        const a = this.coefs;
+        const n = a.length - 1;
+        const accum = a.reduce((acc, ai, i) => {
+            if (acc.prev_a !== 0 && ai !== 0) {
+                if ((acc.prev_a < 0) === (ai > 0)) {
+                    acc.pos++;
+                }
+                if (((i % 2 === 0) !== (acc.prev_a < 0)) === ((i % 2 === 1) !== (ai > 0))) {
+                    acc.neg++;
+                }
+            }
+            acc.prev_a = ai;
+            return acc;
+        }, {pos: 0, neg: 0, prev_a: 0});
+
+        return {
+            maxRealPos: accum.pos,
+            maxRealNeg: accum.neg,
+            minComplex: n - (accum.pos + accum.neg)
+        };
     }
 
-    /**
-     *  divideEqualsScalar
-     *
-     *  @deprecated To be replaced by divideScalar
-     *  @param {number} scalar
-     */
-    divideEqualsScalar(scalar) {
-        for (let i = 0; i < this.coefs.length; i++) {
-            this.coefs[i] /= scalar;
-        }
-    }
+    // getters and setters
 
     /**
-     *  simplifyEquals
+     *  get degree
      *
-     *  @deprecated To be replaced by simplify
-     *  @param {number} TOLERANCE
+     *  @returns {number}
      */
-    simplifyEquals(TOLERANCE = 1e-12) {
-        for (let i = this.getDegree(); i >= 0; i--) {
-            if (Math.abs(this.coefs[i]) <= TOLERANCE) {
-                this.coefs.pop();
-            }
-            else {
-                break;
-            }
-        }
+    getDegree() {
+        return this.coefs.length - 1;
     }
 
     /**
-     *  Sets small coefficients to zero.
+     *  getDerivative
      *
-     *  @deprecated To be replaced by removeZeros
-     *  @param {number} TOLERANCE
      *  @returns {module:kld-polynomial.Polynomial}
      */
-    removeZerosEquals(TOLERANCE = 1e-15) {
-        const c = this.coefs;
-        const err = 10 * TOLERANCE * Math.abs(
-            c.reduce((pv, cv) => {
-                return Math.abs(cv) > Math.abs(pv) ? cv : pv;
-            })
-        );
+    getDerivative() {
+        const derivative = new Polynomial();
 
-        for (let i = 0; i < c.length - 1; i++) {
-            if (Math.abs(c[i]) < err) {
-                c[i] = 0;
-            }
+        for (let i = 1; i < this.coefs.length; i++) {
+            derivative.coefs.push(i * this.coefs[i]);
         }
 
-        return this;
+        return derivative;
     }
 
     /**
-     *  Scales polynomial so that leading coefficient becomes 1.
+     *  k-th derivative, computed directly from the falling factorials
+     *  i (i - 1) ... (i - k + 1) rather than by repeated differentiation.
      *
-     *  @deprecated To be replaced by getMonic
+     *  @param {number} k - a non-negative integer
      *  @returns {module:kld-polynomial.Polynomial}
      */
-    monicEquals() {
-        const c = this.coefs;
+    getNthDerivative(k) {
+        if (isNaN(k) || k < 0 || Math.floor(k) !== k) {
+            throw new RangeError(`Order must be a non-negative integer. Found '${k}'`);
+        }
 
-        if (c[c.length - 1] !== 1) {
-            this.divideEqualsScalar(c[c.length - 1]);
+        const derivative = new Polynomial();
+
+        for (let i = k; i < this.coefs.length; i++) {
+            let factor = 1;
+
+            for (let j = i - k + 1; j <= i; j++) {
+                factor *= j;
+            }
+
+            derivative.coefs.push(factor * this.coefs[i]);
         }
 
-        return this;
+        return derivative;
     }
 
     /**
-     *  toString
+     *  Evaluates p(x) and its first k derivatives in a single extended Horner
+     *  pass, without building any derivative polynomials.
      *
-     *  @returns {string}
+     *  @param {number} x
+     *  @param {number} k - a non-negative integer
+     *  @returns {Array<number>} [p(x), p'(x), ..., p^(k)(x)]
      */
-    toString() {
-        const coefs = [];
-        const signs = [];
-
-        for (let i = this.coefs.length - 1; i >= 0; i--) {
-            let value = Math.round(this.coefs[i] * 1000) / 1000;
+    evalWithDerivatives(x, k) {
+        if (isNaN(x)) {
+            throw new TypeError(`Parameter must be a number. Found '${x}'`);
+        }
+        if (isNaN(k) || k < 0 || Math.floor(k) !== k) {
+            throw new RangeError(`Order must be a non-negative integer. Found '${k}'`);
+        }
 
-            if (value !== 0) {
-                const signString = (value < 0) ? " - " : " + ";
+        const n = this.coefs.length - 1;
+        const result = new Array(k + 1).fill(0);
 
-                value = Math.abs(value);
+        // result[j] accumulates the Taylor coefficient p^(j)(x) / j!
+        for (let i = n; i >= 0; i--) {
+            for (let j = Math.min(k, n - i); j >= 1; j--) {
+                result[j] = result[j] * x + result[j - 1];
+            }
 
-                if (i > 0) {
-                    if (value === 1) {
-                        value = this._variable;
-                    }
-                    else {
-                        value += this._variable;
-                    }
-                }
+            result[0] = result[0] * x + this.coefs[i];
+        }
 
-                if (i > 1) {
-                    value += "^" + i;
-                }
+        let factorial = 1;
 
-                signs.push(signString);
-                coefs.push(value);
-            }
+        for (let j = 2; j <= k; j++) {
+            factorial *= j;
+            result[j] *= factorial;
         }
 
-        signs[0] = (signs[0] === " + ") ? "" : "-";
+        return result;
+    }
+
+    /**
+     *  getAntiderivative
+     *
+     *  @param {number} [constant] - Constant of integration
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    getAntiderivative(constant = 0) {
+        const antiderivative = new Polynomial();
 
-        let result = "";
+        antiderivative.coefs.push(constant);
 
-        for (let i = 0; i < coefs.length; i++) {
-            result += signs[i] + coefs[i];
+        for (let i = 0; i < this.coefs.length; i++) {
+            antiderivative.coefs.push(this.coefs[i] / (i + 1));
         }
 
-        return result;
+        return antiderivative;
     }
 
     /**
-     *  bisection
+     *  getRoots
      *
-     *  @param {number} min
-     *  @param {number} max
-     *  @param {number} [TOLERANCE]
-     *  @param {number} [ACCURACY]
-     *  @returns {number}
+     *  When withMultiplicity is set, equal roots are reported once as
+     *  {value, multiplicity} entries, sorted by value. Multiplicities are
+     *  determined with getRootMultiplicity.
+     *
+     *  @param {PlainObject} [options]
+     *  @param {boolean} [options.withMultiplicity=false]
+     *  @returns {Array<number>|Array<{value: number, multiplicity: number}>}
      */
-    bisection(min, max, TOLERANCE = 1e-6, ACCURACY = 15) {
-        let minValue = this.eval(min);
-        let maxValue = this.eval(max);
+    getRoots({withMultiplicity = false} = {}) {
+        const poly = this.simplify();
         let result;
 
-        if (Math.abs(minValue) <= TOLERANCE) {
-            result = min;
-        }
-        else if (Math.abs(maxValue) <= TOLERANCE) {
-            result = max;
+        switch (poly.getDegree()) {
+            case 0: result = []; break;
+            case 1: result = poly.getLinearRoot(); break;
+            case 2: result = poly.getQuadraticRoots(); break;
+            case 3: result = poly.getCubicRoots(); break;
+            case 4: result = poly.getQuarticRoots(); break;
+            default:
+                result = poly.getRealRoots();
         }
-        else if (minValue * maxValue <= 0) {
-            const tmp1 = Math.log(max - min);
-            const tmp2 = Math.LN10 * ACCURACY;
-            const maxIterations = Math.ceil((tmp1 + tmp2) / Math.LN2);
 
-            for (let i = 0; i < maxIterations; i++) {
-                result = 0.5 * (min + max);
-                const value = this.eval(result);
+        if (withMultiplicity) {
+            const TOLERANCE = 1e-6;
+            const groups = [];
 
-                if (Math.abs(value) <= TOLERANCE) {
-                    break;
-                }
+            result.sort((a, b) => a - b).forEach(value => {
+                const last = groups[groups.length - 1];
 
-                if (value * minValue < 0) {
-                    max = result;
-                    maxValue = value;
+                if (last && Math.abs(value - last.value) <= TOLERANCE * Math.max(1, Math.abs(value))) {
+                    last.count++;
                 }
                 else {
-                    min = result;
-                    minValue = value;
+                    groups.push({value, count: 1});
                 }
-            }
+            });
+
+            result = groups.map(group => {
+                return {
+                    value: group.value,
+                    multiplicity: Math.max(group.count, this.getRootMultiplicity(group.value, TOLERANCE))
+                };
+            });
         }
 
         return result;
     }
 
     /**
-     *  Based on trapzd in "Numerical Recipes in C, 2nd Edition", page 137
+     *  Determines the multiplicity of a root by counting how many successive
+     *  derivatives vanish at x. A derivative is considered zero when its value
+     *  is small relative to the magnitude of its terms at max(|x|, 1). The
+     *  floor at 1 keeps roots at or near zero from being judged against a
+     *  vanishing scale. Returns 0 if x is not a root.
      *
-     *  @param {number} min
-     *  @param {number} max
-     *  @param {number} n
+     *  @param {number} x
+     *  @param {number} [TOLERANCE]
      *  @returns {number}
      */
-    trapezoid(min, max, n) {
-        if (isNaN(min) || isNaN(max) || isNaN(n)) {
-            throw new TypeError("Parameters must be numbers");
-        }
-
-        const range = max - min;
-
-        if (n === 1) {
-            const minValue = this.eval(min);
-            const maxValue = this.eval(max);
-
-            this._s = 0.5 * range * (minValue + maxValue);
-        }
-        else {
-            const iter = 1 << (n - 2);
-            const delta = range / iter;
-            let x = min + 0.5 * delta;
-            let sum = 0;
+    getRootMultiplicity(x, TOLERANCE = 1e-6) {
+        const n = this.getDegree();
+        const absPoly = new Polynomial();
 
-            for (let i = 0; i < iter; i++) {
-                sum += this.eval(x);
-                x += delta;
-            }
+        absPoly.coefs = this.coefs.map(Math.abs);
 
-            this._s = 0.5 * (this._s + range * sum / iter);
-        }
+        const values = this.evalWithDerivatives(x, n);
+        const scales = absPoly.evalWithDerivatives(Math.max(Math.abs(x), 1), n);
+        let multiplicity = 0;
 
-        if (isNaN(this._s)) {
-            throw new TypeError("this._s is NaN");
+        while (multiplicity < n && Math.abs(values[multiplicity]) <= TOLERANCE * scales[multiplicity]) {
+            multiplicity++;
         }
 
-        return this._s;
+        return multiplicity;
     }
 
     /**
-     *  Based on trapzd in "Numerical Recipes in C, 2nd Edition", page 139
+     *  Builds the Sturm sequence of this polynomial: p, p', followed by the
+     *  negated remainders of successive divisions. Each member after p is
+     *  scaled so its largest coefficient magnitude is 1, which keeps signs while
+     *  avoiding overflow.
+     *  @see {@link http://en.wikipedia.org/wiki/Sturm%27s_theorem}
      *
-     *  @param {number} min
-     *  @param {number} max
-     *  @returns {number}
+     *  @param {number} [TOLERANCE]
+     *  @returns {Array<module:kld-polynomial.Polynomial>}
      */
-    simpson(min, max) {
-        if (isNaN(min) || isNaN(max)) {
-            throw new TypeError("Parameters must be numbers");
-        }
-
-        const range = max - min;
-        let st = 0.5 * range * (this.eval(min) + this.eval(max));
-        let t = st;
-        let s = 4.0 * st / 3.0;
-        let os = s;
-        let ost = st;
-        const TOLERANCE = 1e-7;
-
-        let iter = 1;
-
-        for (let n = 2; n <= 20; n++) {
-            const delta = range / iter;
-            let x = min + 0.5 * delta;
-            let sum = 0;
-
-            for (let i = 1; i <= iter; i++) {
-                sum += this.eval(x);
-                x += delta;
-            }
+    getSturmSequence(TOLERANCE = 1e-12) {
+        const poly = this.simplify();
+        const sequence = [poly, poly.getDerivative()];
 
-            t = 0.5 * (t + range * sum / iter);
-            st = t;
-            s = (4.0 * st - ost) / 3.0;
+        while (sequence[sequence.length - 1].getDegree() > 0) {
+            const a = sequence[sequence.length - 2];
+            const b = sequence[sequence.length - 1];
+            const r = a.divide(b, TOLERANCE).remainder.coefs;
 
-            if (Math.abs(s - os) < TOLERANCE * Math.abs(os)) {
+            if (r.length === 1 && r[0] === 0) {
                 break;
             }
 
-            os = s;
-            ost = st;
-            iter <<= 1;
+            const max = r.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+            const next = new Polynomial();
+
+            next.coefs = r.map(v => -v / max);
+            sequence.push(next);
         }
 
-        return s;
+        return sequence;
     }
 
     /**
-     *  romberg
+     *  Counts the distinct Real roots on the closed interval [min, max] using
+     *  Sturm's theorem. Repeated roots are removed before building the sequence.
      *
      *  @param {number} min
      *  @param {number} max
      *  @returns {number}
      */
-    romberg(min, max) {
+    countRealRootsInInterval(min, max) {
         if (isNaN(min) || isNaN(max)) {
             throw new TypeError("Parameters must be numbers");
         }
+        if (min > max) {
+            throw new RangeError("Min must be less than or equal to max");
+        }
 
-        const MAX = 20;
-        const K = 3;
-        const TOLERANCE = 1e-6;
-        const s = new Array(MAX + 1);
-        const h = new Array(MAX + 1);
-        let result = {y: 0, dy: 0};
-
-        h[0] = 1.0;
+        let poly = this.simplify();
 
-        for (let j = 1; j <= MAX; j++) {
-            s[j - 1] = this.trapezoid(min, max, j);
+        if (poly.getDegree() < 0) {
+            throw new RangeError("Unexpected empty polynomial");
+        }
+        else if (poly.getDegree() === 0) {
+            return 0;
+        }
 
-            if (j >= K) {
-                result = Polynomial.interpolate(h, s, K, j - K, 0.0);
-                if (Math.abs(result.dy) <= TOLERANCE * result.y) {
-                    break;
-                }
-            }
+        poly = squareFreePart(poly);
 
-            s[j] = s[j - 1];
-            h[j] = 0.25 * h[j - 1];
-        }
+        const sequence = poly.getSturmSequence(gamma(2 * poly.getDegree()));
+        const count = Polynomial.sturmSignChanges(sequence, min) - Polynomial.sturmSignChanges(sequence, max);
 
-        return result.y;
+        // Sturm's theorem counts roots on (min, max]
+        return (poly.eval(min) === 0) ? count + 1 : count;
     }
 
     /**
-     *  Estimate what is the maximum polynomial evaluation error value under which polynomial evaluation could be in fact 0.
+     *  Calculates the distinct Real roots of a polynomial of any degree. <br/>
+     *  Roots are isolated by bisecting the Rouche bounds using Sturm's theorem
+     *  until each interval holds a single root, which is then refined with
+     *  newtonSecantBisection.
+     *  @see {@link http://en.wikipedia.org/wiki/Sturm%27s_theorem}
      *
-     *  @param {number} maxAbsX
-     *  @returns {number}
+     *  @returns {Array<number>} roots in ascending order
      */
-    zeroErrorEstimate(maxAbsX) {
-        const poly = this;
-        const ERRF = 1e-15;
+    getRealRoots() {
+        let poly = this.simplify();
+        const roots = [];
 
-        if (typeof maxAbsX === "undefined") {
-            const rb = poly.bounds();
+        if (poly.getDegree() > 0 && poly.coefs[0] === 0) {
+            // factor out roots at zero
+            while (poly.coefs[0] === 0) {
+                poly.coefs.shift();
+            }
 
-            maxAbsX = Math.max(Math.abs(rb.minX), Math.abs(rb.maxX));
+            roots.push(0);
         }
 
-        if (maxAbsX < 0.001) {
-            return 2 * Math.abs(poly.eval(ERRF));
+        if (poly.getDegree() < 1) {
+            return roots;
         }
 
-        const n = poly.coefs.length - 1;
-        const an = poly.coefs[n];
+        // remove repeated roots, they make the Sturm sequence ill-conditioned
+        poly = squareFreePart(poly);
+
+        const deriv = poly.getDerivative();
+        // only clean remainders down to rounding error, so close roots stay apart
+        const sequence = poly.getSturmSequence(gamma(2 * poly.getDegree()));
+        const bound = poly.boundUpperAbsRouche();
+
+        /**
+         *  @param {number} x
+         *  @returns {number}
+         */
+        const f = function(x) {
+            return poly.eval(x);
+        };
+
+        /**
+         *  @param {number} x
+         *  @returns {number}
+         */
+        const df = function(x) {
+            return deriv.eval(x);
+        };
+
+        /**
+         *  Find the single root on (min, max]
+         *
+         *  @param {number} min
+         *  @param {number} max
+         *  @param {number} minChanges
+         *  @returns {number}
+         */
+        const refine = function(min, max, minChanges) {
+            let minValue = poly.eval(min);
+            let maxValue = poly.eval(max);
+
+            if (maxValue === 0) {
+                return max;
+            }
+
+            if (minValue !== 0 && sign(minValue) !== sign(maxValue)) {
+                // narrow the bracket by bisection so Newton starts near the root
+                while (max - min > 1e-3 * Math.max(1, Math.abs(min), Math.abs(max))) {
+                    const mid = 0.5 * (min + max);
+                    const midValue = poly.eval(mid);
+
+                    if (midValue === 0) {
+                        return mid;
+                    }
+
+                    if (sign(midValue) === sign(minValue)) {
+                        min = mid;
+                        minValue = midValue;
+                    }
+                    else {
+                        max = mid;
+                        maxValue = midValue;
+                    }
+                }
 
-        return 10 * ERRF * poly.coefs.reduce((m, v, i) => {
-            const nm = v / an * Math.pow(maxAbsX, i);
-            return nm > m ? nm : m;
-        }, 0);
-    }
+                // start from the regula falsi estimate
+                const guess = min - minValue * (max - min) / (maxValue - minValue);
 
-    /**
-     *  Calculates upper Real roots bounds. <br/>
-     *  Real roots are in interval [negX, posX]. Determined by Fujiwara method.
-     *  @see {@link http://en.wikipedia.org/wiki/Properties_of_polynomial_roots}
-     *
-     *  @returns {{ negX: number, posX: number }}
-     */
-    boundsUpperRealFujiwara() {
-        let a = this.coefs;
-        const n = a.length - 1;
-        const an = a[n];
+                return Polynomial.newtonSecantBisection(guess, f, df, 100, min, max);
+            }
 
-        if (an !== 1) {
-            a = this.coefs.map(v => v / an);
-        }
+            // root of even multiplicity, so narrow it down by counting
+            for (;;) {
+                const mid = 0.5 * (min + max);
 
-        const b = a.map((v, i) => {
-            return (i < n)
-                ? Math.pow(Math.abs((i === 0) ? v / 2 : v), 1 / (n - i))
-                : v;
-        });
+                if (mid <= min || mid >= max || poly.eval(mid) === 0) {
+                    return mid;
+                }
 
-        let coefSelectionFunc;
-        const find2Max = function(acc, bi, i) {
-            if (coefSelectionFunc(i)) {
-                if (acc.max < bi) {
-                    acc.nearmax = acc.max;
-                    acc.max = bi;
+                const midChanges = Polynomial.sturmSignChanges(sequence, mid);
+
+                if (minChanges - midChanges > 0) {
+                    max = mid;
                 }
-                else if (acc.nearmax < bi) {
-                    acc.nearmax = bi;
+                else {
+                    min = mid;
+                    minChanges = midChanges;
                 }
             }
-            return acc;
         };
 
-        coefSelectionFunc = function(i) {
-            return i < n && a[i] < 0;
-        };
+        const intervals = [[-bound, bound, Polynomial.sturmSignChanges(sequence, -bound), Polynomial.sturmSignChanges(sequence, bound)]];
 
-        // eslint-disable-next-line unicorn/no-fn-reference-in-iterator
-        const max_nearmax_pos = b.reduce(find2Max, {max: 0, nearmax: 0});
+        while (intervals.length > 0) {
+            const [min, max, minChanges, maxChanges] = intervals.pop();
+            const count = minChanges - maxChanges;
 
-        coefSelectionFunc = function(i) {
-            return i < n && ((n % 2 === i % 2) ? a[i] < 0 : a[i] > 0);
-        };
+            if (count === 1) {
+                roots.push(refine(min, max, minChanges));
+            }
+            else if (count > 1) {
+                const mid = 0.5 * (min + max);
 
-        // eslint-disable-next-line unicorn/no-fn-reference-in-iterator
-        const max_nearmax_neg = b.reduce(find2Max, {max: 0, nearmax: 0});
+                if (mid <= min || mid >= max) {
+                    // cluster that can not be separated in floating point
+                    roots.push(mid);
+                }
+                else {
+                    const midChanges = Polynomial.sturmSignChanges(sequence, mid);
 
-        return {
-            negX: -2 * max_nearmax_neg.max,
-            posX: 2 * max_nearmax_pos.max
-        };
+                    intervals.push([min, mid, minChanges, midChanges]);
+                    intervals.push([mid, max, midChanges, maxChanges]);
+                }
+            }
+        }
+
+        return roots.sort((a, b) => a - b);
     }
 
     /**
-     *  Calculates lower Real roots bounds. <br/>
-     *  There are no Real roots in interval <negX, posX>. Determined by Fujiwara method.
-     *  @see {@link http://en.wikipedia.org/wiki/Properties_of_polynomial_roots}
+     *  Calculates all n (Complex and Real) roots of a polynomial of degree n
+     *  using Aberth-Ehrlich iteration. Initial guesses are spread on a circle
+     *  inside the annulus given by the Rouche bounds. Roots whose imaginary
+     *  part is negligible are returned as Real values with im set to 0.
+     *  @see {@link http://en.wikipedia.org/wiki/Aberth_method}
      *
-     *  @returns {{ negX: number, posX: number }}
+     *  @param {number} [TOLERANCE]
+     *  @param {number} [MAX_ITERATIONS]
+     *  @returns {Array<{re: number, im: number}>}
      */
-    boundsLowerRealFujiwara() {
-        const poly = new Polynomial();
+    getComplexRoots(TOLERANCE = 1e-14, MAX_ITERATIONS = 500) {
+        const poly = this.simplify();
+        const roots = [];
 
-        poly.coefs = this.coefs.slice().reverse();
+        // factor out roots at zero
+        while (poly.getDegree() > 0 && poly.coefs[0] === 0) {
+            poly.coefs.shift();
+            roots.push({re: 0, im: 0});
+        }
 
-        const res = poly.boundsUpperRealFujiwara();
+        const n = poly.getDegree();
 
-        res.negX = 1 / res.negX;
-        res.posX = 1 / res.posX;
+        if (n < 1) {
+            return roots;
+        }
 
-        return res;
-    }
+        const a = poly.coefs;
+        const radius = 0.5 * (poly.boundLowerAbsRouche() + poly.boundUpperAbsRouche());
+        const re = [];
+        const im = [];
 
-    /**
-     *  Calculates left and right Real roots bounds. <br/>
-     *  Real roots are in interval [minX, maxX]. Combines Fujiwara lower and upper bounds to get minimal interval.
-     *  @see {@link http://en.wikipedia.org/wiki/Properties_of_polynomial_roots}
-     *
-     *  @returns {{ minX: number, maxX: number }}
-    */
-    bounds() {
-        const urb = this.boundsUpperRealFujiwara();
-        const rb = {minX: urb.negX, maxX: urb.posX};
+        for (let k = 0; k < n; k++) {
+            // offset the angle so guesses are not symmetric about the Real axis
+            const angle = 2 * Math.PI * k / n + 0.4;
 
-        if (urb.negX === 0 && urb.posX === 0) {
-            return rb;
+            re.push(radius * Math.cos(angle));
+            im.push(radius * Math.sin(angle));
         }
 
-        if (urb.negX === 0) {
-            rb.minX = this.boundsLowerRealFujiwara().posX;
-        }
-        else if (urb.posX === 0) {
-            rb.maxX = this.boundsLowerRealFujiwara().negX;
-        }
+        for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+            let converged = true;
 
-        if (rb.minX > rb.maxX) {
-            rb.minX = rb.maxX = 0;
-        }
+            for (let k = 0; k < n; k++) {
+                // evaluate p and p' at z_k with Horner's scheme
+                let pr = a[n], pi = 0, dr = 0, di = 0;
 
-        return rb;
-        // TODO: if sure that there are no complex roots
-        // (maybe by using Sturm's theorem) use:
-        // return this.boundsRealLaguerre();
-    }
+                for (let i = n - 1; i >= 0; i--) {
+                    const tr = dr * re[k] - di * im[k] + pr;
 
-    /**
-     *  Calculates absolute upper roots bound. <br/>
-     *  All (Complex and Real) roots magnitudes are &lt;= result. Determined by Rouche method.
-     *  @see {@link http://en.wikipedia.org/wiki/Properties_of_polynomial_roots}
-     *
-     *  @returns {number}
-     */
-    boundUpperAbsRouche() {
-        const a = this.coefs;
-        const n = a.length - 1;
-        const max = a.reduce((prev, curr, i) => {
-            if (i !== n) {
-                curr = Math.abs(curr);
-                return (prev < curr) ? curr : prev;
-            }
-            return prev;
-        }, 0);
+                    di = dr * im[k] + di * re[k] + pi;
+                    dr = tr;
 
-        return 1 + max / Math.abs(a[n]);
-    }
+                    const ur = pr * re[k] - pi * im[k] + a[i];
 
-    /**
-     *  Calculates absolute lower roots bound. <br/>
-     *  All (Complex and Real) roots magnitudes are &gt;= result. Determined by Rouche method.
-     *  @see {@link http://en.wikipedia.org/wiki/Properties_of_polynomial_roots}
-     *
-     *  @returns {number}
-     */
-    boundLowerAbsRouche() {
-        const a = this.coefs;
-        const max = a.reduce((prev, curr, i) => {
-            if (i !== 0) {
-                curr = Math.abs(curr);
-                return (prev < curr) ? curr : prev;
-            }
-            return prev;
-        }, 0);
+                    pi = pr * im[k] + pi * re[k];
+                    pr = ur;
+                }
 
-        return Math.abs(a[0]) / (Math.abs(a[0]) + max);
-    }
+                if (pr === 0 && pi === 0) {
+                    continue;
+                }
 
-    /**
-     *  Calculates left and right Real roots bounds.<br/>
-     *  WORKS ONLY if all polynomial roots are Real.
-     *  Real roots are in interval [minX, maxX]. Determined by Laguerre method.
-     *  @see {@link http://en.wikipedia.org/wiki/Properties_of_polynomial_roots}
-     *
-     *  @returns {{ minX: number, maxX: number }}
-     */
-    boundsRealLaguerre() {
-        const a = this.coefs;
-        const n = a.length - 1;
-        const p1 = -a[n - 1] / (n * a[n]);
-        const undersqrt = a[n - 1] * a[n - 1] - 2 * n / (n - 1) * a[n] * a[n - 2];
-        let p2 = (n - 1) / (n * a[n]) * Math.sqrt(undersqrt);
+                // ratio = p / p'
+                const dd = dr * dr + di * di;
+                const ratioR = (pr * dr + pi * di) / dd;
+                const ratioI = (pi * dr - pr * di) / dd;
 
-        if (p2 < 0) {
-            p2 = -p2;
-        }
+                // sum of 1 / (z_k - z_j)
+                let sumR = 0, sumI = 0;
 
-        return {
-            minX: p1 - p2,
-            maxX: p1 + p2
-        };
-    }
+                for (let j = 0; j < n; j++) {
+                    if (j !== k) {
+                        const xr = re[k] - re[j];
+                        const xi = im[k] - im[j];
+                        const xx = xr * xr + xi * xi;
 
-    /**
-     *  Root count by Descartes rule of signs. <br/>
-     *  Returns maximum number of positive and negative real roots and minimum number of complex roots.
-     *  @see {@link http://en.wikipedia.org/wiki/Descartes%27_rule_of_signs}
-     *
-     *  @returns {{maxRealPos: number, maxRealNeg: number, minComplex: number}}
-     */
-    countRootsDescartes() {
-        const a = this.coefs;
-        const n = a.length - 1;
-        const accum = a.reduce((acc, ai, i) => {
-            if (acc.prev_a !== 0 && ai !== 0) {
-                if ((acc.prev_a < 0) === (ai > 0)) {
-                    acc.pos++;
+                        sumR += xr / xx;
+                        sumI -= xi / xx;
+                    }
                 }
-                if (((i % 2 === 0) !== (acc.prev_a < 0)) === ((i % 2 === 1) !== (ai > 0))) {
-                    acc.neg++;
+
+                // w = ratio / (1 - ratio * sum)
+                const denR = 1 - (ratioR * sumR - ratioI * sumI);
+                const denI = -(ratioR * sumI + ratioI * sumR);
+                const den = denR * denR + denI * denI;
+                const wr = dd === 0 ? 0 : (ratioR * denR + ratioI * denI) / den;
+                const wi = dd === 0 ? 0 : (ratioI * denR - ratioR * denI) / den;
+
+                re[k] -= wr;
+                im[k] -= wi;
+
+                if (Math.abs(wr) + Math.abs(wi) > TOLERANCE * (Math.abs(re[k]) + Math.abs(im[k]))) {
+                    converged = false;
                 }
             }
-            acc.prev_a = ai;
-            return acc;
-        }, {pos: 0, neg: 0, prev_a: 0});
 
-        return {
-            maxRealPos: accum.pos,
-            maxRealNeg: accum.neg,
-            minComplex: n - (accum.pos + accum.neg)
-        };
-    }
+            if (converged) {
+                break;
+            }
+        }
 
-    // getters and setters
+        for (let k = 0; k < n; k++) {
+            const magnitude = Math.abs(re[k]) + Math.abs(im[k]);
+
+            roots.push({
+                re: re[k],
+                im: (Math.abs(im[k]) <= 1e-10 * magnitude) ? 0 : im[k]
+            });
+        }
+
+        return roots.sort((r1, r2) => (r1.re - r2.re) || (r1.im - r2.im));
+    }
 
     /**
-     *  get degree
+     *  Critical points of this polynomial on [min, max], where the derivative
+     *  vanishes. Each point is classified by the first non-vanishing higher
+     *  derivative: a local "min" or "max" when the derivative changes sign,
+     *  and a "saddle" otherwise.
      *
-     *  @returns {number}
+     *  @param {number} min
+     *  @param {number} max
+     *  @returns {Array<{x: number, value: number, type: string}>} points in ascending order of x
      */
-    getDegree() {
-        return this.coefs.length - 1;
+    getExtrema(min, max) {
+        if (isNaN(min) || isNaN(max)) {
+            throw new TypeError("Parameters must be numbers");
+        }
+        if (min > max) {
+            throw new RangeError("Min must be less than or equal to max");
+        }
+
+        const deriv = this.getDerivative();
+
+        return distinctRootsInInterval(deriv, min, max).map(x => {
+            const multiplicity = deriv.getRootMultiplicity(x);
+            const value = this.eval(x);
+
+            if (multiplicity % 2 === 0) {
+                return {x, value, type: "saddle"};
+            }
+
+            const higher = this.evalWithDerivatives(x, multiplicity + 1)[multiplicity + 1];
+
+            return {x, value, type: (higher > 0) ? "min" : "max"};
+        });
     }
 
     /**
-     *  getDerivative
+     *  Inflection points on [min, max], where the second derivative changes
+     *  sign.
      *
-     *  @returns {module:kld-polynomial.Polynomial}
+     *  @param {number} min
+     *  @param {number} max
+     *  @returns {Array<{x: number, value: number}>} points in ascending order of x
      */
-    getDerivative() {
-        const derivative = new Polynomial();
-
-        for (let i = 1; i < this.coefs.length; i++) {
-            derivative.coefs.push(i * this.coefs[i]);
+    getInflectionPoints(min, max) {
+        if (isNaN(min) || isNaN(max)) {
+            throw new TypeError("Parameters must be numbers");
+        }
+        if (min > max) {
+            throw new RangeError("Min must be less than or equal to max");
         }
 
-        return derivative;
+        const secondDeriv = this.getNthDerivative(2);
+
+        return distinctRootsInInterval(secondDeriv, min, max)
+            .filter(x => secondDeriv.getRootMultiplicity(x) % 2 === 1)
+            .map(x => ({x, value: this.eval(x)}));
     }
 
     /**
-     *  getRoots
+     *  Minimum and maximum values of this polynomial on the closed interval
+     *  [min, max], taken over the endpoints and the critical points.
      *
-     *  @returns {Array<number>}
+     *  @param {number} min
+     *  @param {number} max
+     *  @returns {{min: number, max: number}}
      */
-    getRoots() {
-        let result;
-
-        this.simplifyEquals();
+    getRange(min, max) {
+        const values = [this.eval(min), this.eval(max)]
+            .concat(this.getExtrema(min, max).map(extremum => extremum.value));
 
-        switch (this.getDegree()) {
-            case 0: result = []; break;
-            case 1: result = this.getLinearRoot(); break;
-            case 2: result = this.getQuadraticRoots(); break;
-            case 3: result = this.getCubicRoots(); break;
-            case 4: result = this.getQuarticRoots(); break;
-            default:
-                result = [];
-        }
-
-        return result;
+        return {
+            min: Math.min(...values),
+            max: Math.max(...values)
+        };
     }
 
     /**
      *  getRootsInInterval
      *
+     *  Subintervals whose evalInterval enclosure provably stays away from zero
+     *  are skipped without bisecting them.
+     *
      *  @param {number} min
      *  @param {number} max
      *  @returns {Array<number>}
      */
     getRootsInInterval(min, max) {
+        // bisection accepts values within this distance of zero as roots
+        const TOLERANCE = 1e-6;
         const roots = [];
 
         /**
@@ -892,32 +3299,46 @@ class Polynomial {
             }
         }
 
+        const search = (lo, hi) => {
+            const enclosure = this.evalInterval(Math.min(lo, hi), Math.max(lo, hi));
+
+            if (enclosure.min <= TOLERANCE && enclosure.max >= -TOLERANCE) {
+                push(this.bisection(lo, hi));
+            }
+        };
+
         if (this.getDegree() === 0) {
             throw new RangeError("Unexpected empty polynomial");
         }
         else if (this.getDegree() === 1) {
-            push(this.bisection(min, max));
+            search(min, max);
         }
         else {
+            const enclosure = this.evalInterval(Math.min(min, max), Math.max(min, max));
+
+            if (enclosure.min > TOLERANCE || enclosure.max < -TOLERANCE) {
+                return roots;
+            }
+
             // get roots of derivative
             const deriv = this.getDerivative();
             const droots = deriv.getRootsInInterval(min, max);
 
             if (droots.length > 0) {
                 // find root on [min, droots[0]]
-                push(this.bisection(min, droots[0]));
+                search(min, droots[0]);
 
                 // find root on [droots[i],droots[i+1]] for 0 <= i <= count-2
                 for (let i = 0; i <= droots.length - 2; i++) {
-                    push(this.bisection(droots[i], droots[i + 1]));
+                    search(droots[i], droots[i + 1]);
                 }
 
                 // find root on [droots[count-1],xmax]
-                push(this.bisection(droots[droots.length - 1], max));
+                search(droots[droots.length - 1], max);
             }
             else {
                 // polynomial is monotone on [min,max], has at most one root
-                push(this.bisection(min, max));
+                search(min, max);
             }
         }
 
@@ -994,9 +3415,18 @@ class Polynomial {
             let discrim = b * b / 4 + a * a * a / 27;
             const halfB = b / 2;
 
-            const ZEROepsilon = this.zeroErrorEstimate();
-
-            if (Math.abs(discrim) <= ZEROepsilon) {
+            // running error bound: the rounding errors of a and b are bounded
+            // by their terms evaluated in absolute value, then propagated
+            // through discrim along with its own rounding
+            const absC2 = Math.abs(c2);
+            const absA = (3 * Math.abs(c1) + c2 * c2) / 3;
+            const absB = (2 * absC2 * absC2 * absC2 + 9 * Math.abs(c1) * absC2 + 27 * Math.abs(c0)) / 27;
+            const errorBound = gamma(16) * (
+                Math.abs(b) * absB / 2 + a * a * absA / 9 +
+                b * b / 4 + Math.abs(a * a * a) / 27
+            );
+
+            if (Math.abs(discrim) <= errorBound) {
                 discrim = 0;
             }
 
@@ -1067,10 +3497,7 @@ class Polynomial {
         const n = this.getDegree();
 
         if (n === 4) {
-            const poly = new Polynomial();
-
-            poly.coefs = this.coefs.slice();
-            poly.divideEqualsScalar(poly.coefs[n]);
+            const poly = this.getMonic();
 
             const ERRF = 1e-15;
 
@@ -1084,17 +3511,27 @@ class Polynomial {
             const nr = derrt.length - 1;
             const rb = this.bounds();
 
-            const maxabsX = Math.max(Math.abs(rb.minX), Math.abs(rb.maxX));
-            const ZEROepsilon = this.zeroErrorEstimate(maxabsX);
+            // coefficients usually carry rounding from their construction, such
+            // as expanding n linear factors, and getMonic rounds them once more.
+            // Together this can move a value by up to gamma(n + 1) times the
+            // polynomial evaluated in absolute value
+            const absPoly = new Polynomial();
+            const poly_dd = poly_d.getDerivative();
 
-            for (let i = 0; i <= nr; i++) {
-                dery.push(poly.eval(derrt[i]));
-            }
+            absPoly.coefs = poly.coefs.map(Math.abs);
 
             for (let i = 0; i <= nr; i++) {
-                if (Math.abs(dery[i]) < ZEROepsilon) {
-                    dery[i] = 0;
-                }
+                const {value, errorBound} = poly.evalCompensated(derrt[i]);
+                const slope = poly_d.evalCompensated(derrt[i]);
+                const curvature = Math.abs(poly_dd.eval(derrt[i]));
+
+                // derrt[i] is only near the extremum, about dx = p'/p'' away, where
+                // p differs by up to p' dx + p'' dx^2 / 2
+                const residual = Math.abs(slope.value) + slope.errorBound;
+                const locationError = (curvature > 0) ? 1.5 * residual * residual / curvature : 0;
+                const bound = errorBound + gamma(n + 1) * absPoly.eval(Math.abs(derrt[i])) + locationError;
+
+                dery.push((Math.abs(value) <= bound) ? 0 : value);
             }
 
             let i = 0;
@@ -1119,7 +3556,9 @@ class Polynomial {
                         results.push(derrt[i + 1], derrt[i + 1]);
                         i++;
                     }
-                    else if (sign(dery[i]) !== sign(dery[i + 1])) {
+                    else if (dery[i] !== 0 && sign(dery[i]) !== sign(dery[i + 1])) {
+                        // p is monotone between extrema, so a bracket starting at a
+                        // double root holds no other root
                         guesses.push((derrt[i] + derrt[i + 1]) / 2);
                         minmax.push([derrt[i], derrt[i + 1]]);
                     }
@@ -1159,4 +3598,6 @@ class Polynomial {
     }
 }
 
+Polynomial.registerType("Polynomial", Polynomial);
+
 export default Polynomial;
@@ -0,0 +1,469 @@
+/**
+ *  Polynomial2.js
+ *
+ *  @module Polynomial2
+ *  @copyright 2002-2019 Kevin Lindsey
+ */
+
+import Polynomial from "./Polynomial.js";
+
+/**
+ *  Evaluates p with the absolute values of its coefficients at |x| and |y|,
+ *  a scale against which the rounding error of p(x, y) can be judged.
+ *
+ *  @param {module:kld-polynomial.Polynomial2} p
+ *  @param {number} x
+ *  @param {number} y
+ *  @returns {number}
+ */
+function evalAbsolute(p, x, y) {
+    const absolute = new Polynomial2(p.coefs.map(row => row.map(Math.abs)));
+
+    return absolute.eval(Math.abs(x), Math.abs(y));
+}
+
+/**
+ *  Largest coefficient magnitude of a univariate polynomial
+ *
+ *  @param {module:kld-polynomial.Polynomial} poly
+ *  @returns {number}
+ */
+function maxAbs(poly) {
+    return poly.coefs.reduce((max, c) => Math.max(max, Math.abs(c)), 0);
+}
+
+/**
+ *  Real roots of a univariate polynomial, restricted to range when given.
+ *
+ *  Noise of size noise can split a multiple root into nearby Real roots or
+ *  turn it into a complex pair. Both leave a local extremum of poly within
+ *  noise of zero, which is a simple root of the derivative and so is well
+ *  determined. Each such extremum replaces the roots that the noise could
+ *  have moved away from it.
+ *
+ *  @param {module:kld-polynomial.Polynomial} poly
+ *  @param {Array<number>} [range]
+ *  @param {number} [noise]
+ *  @returns {Array<number>}
+ */
+function realRoots(poly, range, noise = 0) {
+    let roots = (poly.getDegree() > 0) ? poly.getRealRoots() : [];
+
+    if (noise > 0 && poly.getDegree() > 1) {
+        const deriv = poly.getDerivative();
+        const secondDeriv = deriv.getDerivative();
+
+        deriv.getRealRoots().forEach(x => {
+            if (Math.abs(poly.eval(x)) <= noise) {
+                // p(x + d) is about p(x) + p''(x) d^2 / 2, so noise moves roots
+                // by no more than this
+                const curvature = Math.abs(secondDeriv.eval(x));
+                const spread = (curvature > 0) ? Math.sqrt(4 * noise / curvature) : 0;
+
+                roots = roots.filter(value => Math.abs(value - x) > spread).concat(x);
+            }
+        });
+    }
+
+    return (range === undefined)
+        ? roots
+        : roots.filter(value => range[0] <= value && value <= range[1]);
+}
+
+/**
+ *  Polishes an approximate solution of f = g = 0 with Newton's method in two
+ *  variables, stopping once a step no longer reduces the residual.
+ *
+ *  @param {module:kld-polynomial.Polynomial2} f
+ *  @param {module:kld-polynomial.Polynomial2} g
+ *  @param {Array<module:kld-polynomial.Polynomial2>} jacobian - [fx, fy, gx, gy]
+ *  @param {number} x
+ *  @param {number} y
+ *  @param {number} [MAX_ITERATIONS]
+ *  @returns {{x: number, y: number}}
+ */
+function newtonPolish(f, g, jacobian, x, y, MAX_ITERATIONS = 50) {
+    const [fx, fy, gx, gy] = jacobian;
+    let F = f.eval(x, y);
+    let G = g.eval(x, y);
+
+    for (let i = 0; i < MAX_ITERATIONS && (F !== 0 || G !== 0); i++) {
+        const a = fx.eval(x, y);
+        const b = fy.eval(x, y);
+        const c = gx.eval(x, y);
+        const d = gy.eval(x, y);
+        const det = a * d - b * c;
+
+        if (det === 0) {
+            break;
+        }
+
+        const nextX = x - (F * d - b * G) / det;
+        const nextY = y - (a * G - c * F) / det;
+        const nextF = f.eval(nextX, nextY);
+        const nextG = g.eval(nextX, nextY);
+
+        if (!(Math.abs(nextF) + Math.abs(nextG) < Math.abs(F) + Math.abs(G))) {
+            break;
+        }
+
+        x = nextX;
+        y = nextY;
+        F = nextF;
+        G = nextG;
+    }
+
+    return {x, y};
+}
+
+/**
+ *  Bivariate polynomial in x and y, such as the implicit form of a conic.
+ *
+ *  @memberof module:kld-polynomial
+ */
+class Polynomial2 {
+    /**
+     *  Polynomial2
+     *
+     *  @param {Array<Array<number>>} [coefs] - coefs[i][j] is the coefficient of x^i y^j
+     *  @returns {module:kld-polynomial.Polynomial2}
+     */
+    constructor(coefs = [[0]]) {
+        this.coefs = coefs.map(row => row.slice());
+    }
+
+    /**
+     *  Real solutions of the system f(x, y) = 0, g(x, y) = 0.
+     *
+     *  y is eliminated with the resultant Res_y(f, g), which is sampled at
+     *  Chebyshev nodes across xRange and interpolated into a univariate
+     *  polynomial in x. Each of its Real roots, including multiple roots that
+     *  the interpolation noise has turned complex, is back-substituted into f
+     *  and g to find candidate y values, and every candidate pair is polished with
+     *  2D Newton and kept only when both residuals are negligible.
+     *
+     *  @param {module:kld-polynomial.Polynomial2} f
+     *  @param {module:kld-polynomial.Polynomial2} g
+     *  @param {PlainObject} [options]
+     *  @param {Array<number>} [options.xRange] - [min, max]; solutions are searched everywhere when omitted
+     *  @param {Array<number>} [options.yRange] - [min, max]; solutions are searched everywhere when omitted
+     *  @param {number} [options.tolerance] - relative residual accepted for a solution
+     *  @returns {Array<{x: number, y: number}>} solutions sorted by x, then y
+     */
+    static solveSystem(f, g, {xRange, yRange, tolerance = 1e-8} = {}) {
+        const m = f.getDegreeY();
+        const n = g.getDegreeY();
+        const degree = n * f.getDegreeX() + m * g.getDegreeX();
+        const [a, b] = (xRange === undefined) ? [-1, 1] : xRange;
+        const xs = [];
+        const ys = [];
+        let degenerate = true;
+
+        // the Hadamard bound of the Sylvester matrix tells a vanishing
+        // resultant apart from rounding noise
+        const norm = poly => Math.sqrt(poly.coefs.reduce((sum, c) => sum + c * c, 0));
+
+        for (let k = 0; k <= degree; k++) {
+            const x = (a + b) / 2 + (b - a) / 2 * Math.cos((2 * k + 1) * Math.PI / (2 * degree + 2));
+            const p = f.evalX(x);
+            const q = g.evalX(x);
+            const value = Polynomial.resultant(p, q);
+
+            if (Math.abs(value) > 1e-11 * Math.pow(norm(p), n) * Math.pow(norm(q), m)) {
+                degenerate = false;
+            }
+
+            xs.push(x);
+            ys.push(value);
+        }
+
+        if (degenerate) {
+            throw new RangeError("Resultant is identically zero. f and g share a common factor");
+        }
+
+        // interpolation leaves noise of about 1e-13 relative in the resultant,
+        // enough to turn the double roots of symmetric or tangent curves complex
+        const resultant = Polynomial.fromPoints(xs, ys);
+        const scale = maxAbs(resultant);
+        const jacobian = [f.getDerivativeX(), f.getDerivativeY(), g.getDerivativeX(), g.getDerivativeY()];
+        const solutions = [];
+
+        realRoots(resultant.simplify(1e-10 * scale), xRange, 1e-10 * scale).forEach(x0 => {
+            const p = f.evalX(x0).simplify(0);
+            const q = g.evalX(x0).simplify(0);
+            const candidates = realRoots(p, yRange, 1e-10 * maxAbs(p))
+                .concat(realRoots(q, yRange, 1e-10 * maxAbs(q)));
+
+            candidates.forEach(candidate => {
+                const {x, y} = newtonPolish(f, g, jacobian, x0, candidate);
+                const inRange = (range, value) => range === undefined || (range[0] <= value && value <= range[1]);
+
+                if (
+                    inRange(xRange, x) && inRange(yRange, y) &&
+                    Math.abs(f.eval(x, y)) <= tolerance * evalAbsolute(f, x, y) &&
+                    Math.abs(g.eval(x, y)) <= tolerance * evalAbsolute(g, x, y)
+                ) {
+                    solutions.push({x, y});
+                }
+            });
+        });
+
+        solutions.sort((s1, s2) => (s1.x - s2.x) || (s1.y - s2.y));
+
+        return solutions.filter((solution, index) => {
+            return solutions.slice(0, index).every(previous => {
+                return Math.abs(previous.x - solution.x) > 1e-6 * (1 + Math.abs(solution.x)) ||
+                    Math.abs(previous.y - solution.y) > 1e-6 * (1 + Math.abs(solution.y));
+            });
+        });
+    }
+
+    /**
+     *  Clones this polynomial and return the clone.
+     *
+     *  @returns {module:kld-polynomial.Polynomial2}
+     */
+    clone() {
+        return new Polynomial2(this.coefs);
+    }
+
+    /**
+     *  Degree in x
+     *
+     *  @returns {number}
+     */
+    getDegreeX() {
+        return this.coefs.length - 1;
+    }
+
+    /**
+     *  Degree in y
+     *
+     *  @returns {number}
+     */
+    getDegreeY() {
+        return this.coefs.reduce((max, row) => Math.max(max, row.length - 1), -1);
+    }
+
+    /**
+     *  Total degree, the highest i + j over all terms x^i y^j
+     *
+     *  @returns {number}
+     */
+    getDegree() {
+        let result = -1;
+
+        for (let i = 0; i < this.coefs.length; i++) {
+            for (let j = 0; j < this.coefs[i].length; j++) {
+                if (this.coefs[i][j] !== 0 && i + j > result) {
+                    result = i + j;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     *  eval
+     *
+     *  @param {number} x
+     *  @param {number} y
+     *  @returns {number}
+     */
+    eval(x, y) {
+        if (isNaN(x) || isNaN(y)) {
+            throw new TypeError(`Parameters must be numbers. Found '${x}' and '${y}'`);
+        }
+
+        let result = 0;
+
+        for (let i = this.coefs.length - 1; i >= 0; i--) {
+            const row = this.coefs[i];
+            let value = 0;
+
+            for (let j = row.length - 1; j >= 0; j--) {
+                value = value * y + row[j];
+            }
+
+            result = result * x + value;
+        }
+
+        return result;
+    }
+
+    /**
+     *  Partial evaluation at x, yielding a Polynomial in y. The result keeps
+     *  the nominal degree in y, even when its leading coefficients vanish.
+     *
+     *  @param {number} x
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    evalX(x) {
+        const coefs = new Array(this.getDegreeY() + 1).fill(0);
+
+        for (let i = this.coefs.length - 1; i >= 0; i--) {
+            for (let j = 0; j < coefs.length; j++) {
+                coefs[j] = coefs[j] * x + ((j < this.coefs[i].length) ? this.coefs[i][j] : 0);
+            }
+        }
+
+        return new Polynomial(...coefs.reverse());
+    }
+
+    /**
+     *  add
+     *
+     *  @param {module:kld-polynomial.Polynomial2} that
+     *  @returns {module:kld-polynomial.Polynomial2}
+     */
+    add(that) {
+        const coefs = [];
+        const rows = Math.max(this.coefs.length, that.coefs.length);
+
+        for (let i = 0; i < rows; i++) {
+            const row1 = this.coefs[i] || [];
+            const row2 = that.coefs[i] || [];
+            const row = [];
+
+            for (let j = 0; j < Math.max(row1.length, row2.length); j++) {
+                row.push((j < row1.length ? row1[j] : 0) + (j < row2.length ? row2[j] : 0));
+            }
+
+            coefs.push(row);
+        }
+
+        return new Polynomial2(coefs);
+    }
+
+    /**
+     *  multiply
+     *
+     *  @param {module:kld-polynomial.Polynomial2} that
+     *  @returns {module:kld-polynomial.Polynomial2}
+     */
+    multiply(that) {
+        const dy = this.getDegreeY() + that.getDegreeY();
+        const coefs = [];
+
+        for (let i = 0; i <= this.getDegreeX() + that.getDegreeX(); i++) {
+            coefs.push(new Array(dy + 1).fill(0));
+        }
+
+        for (let i1 = 0; i1 < this.coefs.length; i1++) {
+            for (let j1 = 0; j1 < this.coefs[i1].length; j1++) {
+                for (let i2 = 0; i2 < that.coefs.length; i2++) {
+                    for (let j2 = 0; j2 < that.coefs[i2].length; j2++) {
+                        coefs[i1 + i2][j1 + j2] += this.coefs[i1][j1] * that.coefs[i2][j2];
+                    }
+                }
+            }
+        }
+
+        return new Polynomial2(coefs);
+    }
+
+    /**
+     *  Partial derivative with respect to x
+     *
+     *  @returns {module:kld-polynomial.Polynomial2}
+     */
+    getDerivativeX() {
+        const coefs = [];
+
+        for (let i = 1; i < this.coefs.length; i++) {
+            coefs.push(this.coefs[i].map(c => i * c));
+        }
+
+        return new Polynomial2((coefs.length > 0) ? coefs : [[0]]);
+    }
+
+    /**
+     *  Partial derivative with respect to y
+     *
+     *  @returns {module:kld-polynomial.Polynomial2}
+     */
+    getDerivativeY() {
+        const coefs = this.coefs.map(row => {
+            const result = [];
+
+            for (let j = 1; j < row.length; j++) {
+                result.push(j * row[j]);
+            }
+
+            return (result.length > 0) ? result : [0];
+        });
+
+        return new Polynomial2(coefs);
+    }
+
+    /**
+     *  Substitutes the parametrization x = x(t), y = y(t), yielding the
+     *  univariate polynomial p(x(t), y(t)).
+     *
+     *  @param {module:kld-polynomial.Polynomial} xPoly
+     *  @param {module:kld-polynomial.Polynomial} yPoly
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    substitute(xPoly, yPoly) {
+        const xPowers = [new Polynomial(1)];
+        const yPowers = [new Polynomial(1)];
+        let result = new Polynomial(0);
+
+        for (let i = 1; i < this.coefs.length; i++) {
+            xPowers.push(xPowers[i - 1].multiply(xPoly));
+        }
+
+        for (let j = 1; j <= this.getDegreeY(); j++) {
+            yPowers.push(yPowers[j - 1].multiply(yPoly));
+        }
+
+        for (let i = 0; i < this.coefs.length; i++) {
+            for (let j = 0; j < this.coefs[i].length; j++) {
+                if (this.coefs[i][j] !== 0) {
+                    result = result.add(xPowers[i].multiply(yPowers[j]).multiplyScalar(this.coefs[i][j]));
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     *  toString
+     *
+     *  @returns {string}
+     */
+    toString() {
+        const terms = [];
+
+        for (let i = this.coefs.length - 1; i >= 0; i--) {
+            for (let j = this.coefs[i].length - 1; j >= 0; j--) {
+                const value = Math.round(this.coefs[i][j] * 1000) / 1000;
+
+                if (value !== 0) {
+                    const x = (i === 0) ? "" : (i === 1) ? "x" : "x^" + i;
+                    const y = (j === 0) ? "" : (j === 1) ? "y" : "y^" + j;
+                    const magnitude = Math.abs(value);
+                    const coefficient = (magnitude === 1 && i + j > 0) ? "" : String(magnitude);
+
+                    terms.push({negative: value < 0, text: coefficient + x + y});
+                }
+            }
+        }
+
+        if (terms.length === 0) {
+            return "0";
+        }
+
+        return terms.reduce((result, term, index) => {
+            if (index === 0) {
+                return (term.negative ? "-" : "") + term.text;
+            }
+
+            return result + (term.negative ? " - " : " + ") + term.text;
+        }, "");
+    }
+}
+
+export default Polynomial2;
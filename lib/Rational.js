@@ -0,0 +1,265 @@
+/* global BigInt */
+/**
+ *  Rational.js
+ *
+ *  @module Rational
+ *  @copyright 2002-2019 Kevin Lindsey
+ */
+
+/**
+ *  Converts an integer to a BigInt. All BigInts are created here, so the
+ *  compatibility exception is made in one place.
+ *
+ *  @param {bigint|number|string} value
+ *  @returns {bigint}
+ */
+function big(value) {
+    // eslint-disable-next-line compat/compat
+    return BigInt(value);
+}
+
+/**
+ *  Absolute value of a BigInt
+ *
+ *  @param {bigint} a
+ *  @returns {bigint}
+ */
+function abs(a) {
+    return (a < big(0)) ? -a : a;
+}
+
+/**
+ *  Greatest common divisor of two BigInts, always non-negative
+ *
+ *  @param {bigint} a
+ *  @param {bigint} b
+ *  @returns {bigint}
+ */
+function gcd(a, b) {
+    a = abs(a);
+    b = abs(b);
+
+    while (b !== big(0)) {
+        [a, b] = [b, a % b];
+    }
+
+    return a;
+}
+
+/**
+ *  Number of bits needed to represent the magnitude of a BigInt
+ *
+ *  @param {bigint} a
+ *  @returns {number}
+ */
+function bitLength(a) {
+    return (a === big(0)) ? 0 : abs(a).toString(2).length;
+}
+
+/**
+ *  Exact rational number with BigInt numerator and denominator, kept in lowest
+ *  terms with a positive denominator.
+ *
+ *  @memberof module:kld-polynomial
+ */
+class Rational {
+    /**
+     *  Rational
+     *
+     *  @param {bigint|number} numerator - an integer
+     *  @param {bigint|number} [denominator] - a non-zero integer
+     *  @returns {module:kld-polynomial.Rational}
+     */
+    constructor(numerator, denominator = 1) {
+        let n = big(numerator);
+        let d = big(denominator);
+
+        if (d === big(0)) {
+            throw new RangeError("Denominator must not be zero");
+        }
+
+        if (d < big(0)) {
+            n = -n;
+            d = -d;
+        }
+
+        const g = gcd(n, d);
+
+        this.numerator = (g > big(1)) ? n / g : n;
+        this.denominator = (g > big(1)) ? d / g : d;
+    }
+
+    /**
+     *  Converts a finite double to the rational number it represents exactly.
+     *  Doubles are dyadic, so doubling until the value is an integer is exact
+     *  and terminates.
+     *
+     *  @param {number} x
+     *  @returns {module:kld-polynomial.Rational}
+     */
+    static fromNumber(x) {
+        if (typeof x !== "number" || !isFinite(x)) {
+            throw new TypeError(`Parameter must be a finite number. Found '${x}'`);
+        }
+
+        const two = big(2);
+        let denominator = big(1);
+
+        while (Math.floor(x) !== x) {
+            x *= 2;
+            denominator *= two;
+        }
+
+        return new Rational(big(x), denominator);
+    }
+
+    /**
+     *  Converts a Rational, BigInt or double to a Rational.
+     *
+     *  @param {module:kld-polynomial.Rational|bigint|number} value
+     *  @returns {module:kld-polynomial.Rational}
+     */
+    static from(value) {
+        if (typeof value === "number") {
+            return Rational.fromNumber(value);
+        }
+        // eslint-disable-next-line valid-typeof
+        if (typeof value === "bigint") {
+            return new Rational(value);
+        }
+        if (value !== null && typeof value === "object" && value.constructor === Rational) {
+            return value;
+        }
+
+        throw new TypeError(`Unable to convert '${value}' to a Rational`);
+    }
+
+    /**
+     *  add
+     *
+     *  @param {module:kld-polynomial.Rational} that
+     *  @returns {module:kld-polynomial.Rational}
+     */
+    add(that) {
+        return new Rational(
+            this.numerator * that.denominator + that.numerator * this.denominator,
+            this.denominator * that.denominator
+        );
+    }
+
+    /**
+     *  subtract
+     *
+     *  @param {module:kld-polynomial.Rational} that
+     *  @returns {module:kld-polynomial.Rational}
+     */
+    subtract(that) {
+        return this.add(that.negate());
+    }
+
+    /**
+     *  multiply
+     *
+     *  @param {module:kld-polynomial.Rational} that
+     *  @returns {module:kld-polynomial.Rational}
+     */
+    multiply(that) {
+        return new Rational(this.numerator * that.numerator, this.denominator * that.denominator);
+    }
+
+    /**
+     *  divide
+     *
+     *  @param {module:kld-polynomial.Rational} that
+     *  @returns {module:kld-polynomial.Rational}
+     */
+    divide(that) {
+        if (that.isZero()) {
+            throw new RangeError("Division by zero");
+        }
+
+        return new Rational(this.numerator * that.denominator, this.denominator * that.numerator);
+    }
+
+    /**
+     *  negate
+     *
+     *  @returns {module:kld-polynomial.Rational}
+     */
+    negate() {
+        return new Rational(-this.numerator, this.denominator);
+    }
+
+    /**
+     *  Sign of this number as -1, 0 or 1
+     *
+     *  @returns {number}
+     */
+    sign() {
+        if (this.numerator === big(0)) {
+            return 0;
+        }
+
+        return (this.numerator < big(0)) ? -1 : 1;
+    }
+
+    /**
+     *  isZero
+     *
+     *  @returns {boolean}
+     */
+    isZero() {
+        return this.numerator === big(0);
+    }
+
+    /**
+     *  Compares this number to that, returning -1, 0 or 1
+     *
+     *  @param {module:kld-polynomial.Rational} that
+     *  @returns {number}
+     */
+    compare(that) {
+        return this.subtract(that).sign();
+    }
+
+    /**
+     *  equals
+     *
+     *  @param {module:kld-polynomial.Rational} that
+     *  @returns {boolean}
+     */
+    equals(that) {
+        return this.numerator === that.numerator && this.denominator === that.denominator;
+    }
+
+    /**
+     *  Double approximating this number. Each part is shifted down to its
+     *  leading 64 bits on its own, so parts of very different sizes neither
+     *  overflow nor lose precision, and the shifts are applied to the quotient.
+     *
+     *  @returns {number}
+     */
+    toNumber() {
+        const shiftN = Math.max(bitLength(this.numerator) - 64, 0);
+        const shiftD = Math.max(bitLength(this.denominator) - 64, 0);
+        const quotient = Number(this.numerator >> big(shiftN)) / Number(this.denominator >> big(shiftD));
+        const exponent = shiftN - shiftD;
+        const half = Math.floor(exponent / 2);
+
+        // two factors, as 2^exponent alone may overflow when the result does not
+        return quotient * Math.pow(2, half) * Math.pow(2, exponent - half);
+    }
+
+    /**
+     *  toString
+     *
+     *  @returns {string}
+     */
+    toString() {
+        return (this.denominator === big(1))
+            ? this.numerator.toString()
+            : this.numerator.toString() + "/" + this.denominator.toString();
+    }
+}
+
+export default Rational;
@@ -0,0 +1,180 @@
+/**
+ *  RationalFunction.js
+ *
+ *  @module RationalFunction
+ *  @copyright 2002-2019 Kevin Lindsey
+ */
+
+import Polynomial from "./Polynomial.js";
+
+/**
+ *  RationalFunction
+ *
+ *  @memberof module:kld-polynomial
+ */
+class RationalFunction {
+    /**
+     *  RationalFunction
+     *
+     *  @param {module:kld-polynomial.Polynomial} numerator
+     *  @param {module:kld-polynomial.Polynomial} [denominator]
+     *  @returns {module:kld-polynomial.RationalFunction}
+     */
+    constructor(numerator, denominator = new Polynomial(1)) {
+        if (denominator.simplify(0).getDegree() < 0) {
+            throw new RangeError("Denominator must not be the zero polynomial");
+        }
+
+        this.numerator = numerator;
+        this.denominator = denominator;
+    }
+
+    /**
+     *  eval
+     *
+     *  @param {number} x
+     *  @returns {number}
+     */
+    eval(x) {
+        return this.numerator.eval(x) / this.denominator.eval(x);
+    }
+
+    /**
+     *  add
+     *
+     *  @param {module:kld-polynomial.RationalFunction} that
+     *  @returns {module:kld-polynomial.RationalFunction}
+     */
+    add(that) {
+        return new RationalFunction(
+            this.numerator.multiply(that.denominator).add(that.numerator.multiply(this.denominator)),
+            this.denominator.multiply(that.denominator)
+        );
+    }
+
+    /**
+     *  multiply
+     *
+     *  @param {module:kld-polynomial.RationalFunction} that
+     *  @returns {module:kld-polynomial.RationalFunction}
+     */
+    multiply(that) {
+        return new RationalFunction(
+            this.numerator.multiply(that.numerator),
+            this.denominator.multiply(that.denominator)
+        );
+    }
+
+    /**
+     *  Derivative by the quotient rule, (n'd - nd') / d^2
+     *
+     *  @returns {module:kld-polynomial.RationalFunction}
+     */
+    getDerivative() {
+        const n = this.numerator;
+        const d = this.denominator;
+
+        return new RationalFunction(
+            n.getDerivative().multiply(d).subtract(n.multiply(d.getDerivative())),
+            d.multiply(d)
+        );
+    }
+
+    /**
+     *  Removes common factors of the numerator and denominator and makes the
+     *  denominator monic.
+     *
+     *  @param {number} [TOLERANCE]
+     *  @returns {module:kld-polynomial.RationalFunction}
+     */
+    cancel(TOLERANCE = 1e-10) {
+        let numerator = this.numerator.simplify();
+        let denominator = this.denominator.simplify();
+        const g = numerator.gcd(denominator, TOLERANCE);
+
+        if (g.getDegree() > 0) {
+            numerator = numerator.divide(g, TOLERANCE).quotient;
+            denominator = denominator.divide(g, TOLERANCE).quotient;
+        }
+
+        const lead = denominator.coefs[denominator.getDegree()];
+
+        return new RationalFunction(numerator.divideScalar(lead), denominator.divideScalar(lead));
+    }
+
+    /**
+     *  Real poles, the distinct Real roots of the denominator after common
+     *  factors have been cancelled.
+     *
+     *  @returns {Array<number>}
+     */
+    getPoles() {
+        return this.cancel().denominator.getRoots({withMultiplicity: true}).map(r => r.value).sort((a, b) => a - b);
+    }
+
+    /**
+     *  Real zeros, the distinct Real roots of the numerator after common
+     *  factors have been cancelled.
+     *
+     *  @returns {Array<number>}
+     */
+    getZeros() {
+        return this.cancel().numerator.getRoots({withMultiplicity: true}).map(r => r.value).sort((a, b) => a - b);
+    }
+
+    /**
+     *  Partial fraction decomposition for rational functions whose poles are
+     *  all Real. The result is the polynomial part plus a list of terms, each
+     *  representing coefficient / (t - pole)^power.
+     *
+     *  @returns {{polynomial: module:kld-polynomial.Polynomial, terms: Array<{pole: number, power: number, coefficient: number}>}}
+     */
+    partialFractions() {
+        const {numerator, denominator} = this.cancel();
+        const {quotient, remainder} = numerator.divide(denominator);
+        const poles = denominator.getRoots({withMultiplicity: true});
+        const terms = [];
+
+        const count = poles.reduce((sum, pole) => sum + pole.multiplicity, 0);
+
+        if (count !== denominator.getDegree()) {
+            throw new RangeError("Partial fractions require all poles to be Real");
+        }
+
+        poles.forEach(({value, multiplicity}) => {
+            const factor = new Polynomial(1, -value).pow(multiplicity);
+            const rest = denominator.divide(factor).quotient;
+
+            // expand remainder / rest as a power series in u = t - value
+            const r = remainder.shift(value).coefs;
+            const e = rest.shift(value).coefs;
+            const series = [];
+
+            for (let k = 0; k < multiplicity; k++) {
+                let sum = (k < r.length) ? r[k] : 0;
+
+                for (let j = 1; j <= k && j < e.length; j++) {
+                    sum -= e[j] * series[k - j];
+                }
+
+                series.push(sum / e[0]);
+                terms.push({pole: value, power: multiplicity - k, coefficient: series[k]});
+            }
+        });
+
+        terms.sort((a, b) => (a.pole - b.pole) || (a.power - b.power));
+
+        return {polynomial: quotient, terms};
+    }
+
+    /**
+     *  toString
+     *
+     *  @returns {string}
+     */
+    toString() {
+        return "(" + this.numerator.toString() + ") / (" + this.denominator.toString() + ")";
+    }
+}
+
+export default RationalFunction;
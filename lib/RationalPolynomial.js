@@ -0,0 +1,355 @@
+/**
+ *  RationalPolynomial.js
+ *
+ *  @module RationalPolynomial
+ *  @copyright 2002-2019 Kevin Lindsey
+ */
+
+import Polynomial from "./Polynomial.js";
+import Rational from "./Rational.js";
+
+/**
+ *  Polynomial with exact Rational coefficients. Arithmetic never rounds, so
+ *  signs, divisibility and root counts are decided exactly.
+ *
+ *  @memberof module:kld-polynomial
+ */
+class RationalPolynomial {
+    /**
+     *  RationalPolynomial
+     *
+     *  @param {Array<module:kld-polynomial.Rational|bigint|number>} coefs - highest degree first
+     *  @returns {module:kld-polynomial.RationalPolynomial}
+     */
+    constructor(...coefs) {
+        this.coefs = [];
+
+        for (let i = coefs.length - 1; i >= 0; i--) {
+            this.coefs.push(Rational.from(coefs[i]));
+        }
+
+        // exact arithmetic lets the leading coefficient always be non-zero
+        while (this.coefs.length > 0 && this.coefs[this.coefs.length - 1].isZero()) {
+            this.coefs.pop();
+        }
+    }
+
+    /**
+     *  Converts a float polynomial, representing each coefficient exactly.
+     *
+     *  @param {module:kld-polynomial.Polynomial} poly
+     *  @returns {module:kld-polynomial.RationalPolynomial}
+     */
+    static fromPolynomial(poly) {
+        return new RationalPolynomial(...poly.coefs.slice().reverse());
+    }
+
+    /**
+     *  Converts to a float polynomial, rounding each coefficient.
+     *
+     *  @returns {module:kld-polynomial.Polynomial}
+     */
+    toPolynomial() {
+        const result = new Polynomial();
+
+        result.coefs = (this.coefs.length > 0) ? this.coefs.map(c => c.toNumber()) : [0];
+
+        return result;
+    }
+
+    /**
+     *  Clones this polynomial and return the clone.
+     *
+     *  @returns {module:kld-polynomial.RationalPolynomial}
+     */
+    clone() {
+        return new RationalPolynomial(...this.coefs.slice().reverse());
+    }
+
+    /**
+     *  getDegree, -1 for the zero polynomial
+     *
+     *  @returns {number}
+     */
+    getDegree() {
+        return this.coefs.length - 1;
+    }
+
+    /**
+     *  isZero
+     *
+     *  @returns {boolean}
+     */
+    isZero() {
+        return this.coefs.length === 0;
+    }
+
+    /**
+     *  eval
+     *
+     *  @param {module:kld-polynomial.Rational|bigint|number} x
+     *  @returns {module:kld-polynomial.Rational}
+     */
+    eval(x) {
+        const value = Rational.from(x);
+        let result = new Rational(0);
+
+        for (let i = this.coefs.length - 1; i >= 0; i--) {
+            result = result.multiply(value).add(this.coefs[i]);
+        }
+
+        return result;
+    }
+
+    /**
+     *  add
+     *
+     *  @param {module:kld-polynomial.RationalPolynomial} that
+     *  @returns {module:kld-polynomial.RationalPolynomial}
+     */
+    add(that) {
+        const coefs = [];
+
+        for (let i = 0; i < Math.max(this.coefs.length, that.coefs.length); i++) {
+            if (i >= this.coefs.length) {
+                coefs.push(that.coefs[i]);
+            }
+            else if (i >= that.coefs.length) {
+                coefs.push(this.coefs[i]);
+            }
+            else {
+                coefs.push(this.coefs[i].add(that.coefs[i]));
+            }
+        }
+
+        return new RationalPolynomial(...coefs.reverse());
+    }
+
+    /**
+     *  subtract
+     *
+     *  @param {module:kld-polynomial.RationalPolynomial} that
+     *  @returns {module:kld-polynomial.RationalPolynomial}
+     */
+    subtract(that) {
+        return this.add(that.negate());
+    }
+
+    /**
+     *  negate
+     *
+     *  @returns {module:kld-polynomial.RationalPolynomial}
+     */
+    negate() {
+        return new RationalPolynomial(...this.coefs.map(c => c.negate()).reverse());
+    }
+
+    /**
+     *  multiply
+     *
+     *  @param {module:kld-polynomial.RationalPolynomial} that
+     *  @returns {module:kld-polynomial.RationalPolynomial}
+     */
+    multiply(that) {
+        if (this.isZero() || that.isZero()) {
+            return new RationalPolynomial();
+        }
+
+        const coefs = [];
+
+        for (let i = 0; i < this.coefs.length + that.coefs.length - 1; i++) {
+            coefs.push(new Rational(0));
+        }
+
+        for (let i = 0; i < this.coefs.length; i++) {
+            for (let j = 0; j < that.coefs.length; j++) {
+                coefs[i + j] = coefs[i + j].add(this.coefs[i].multiply(that.coefs[j]));
+            }
+        }
+
+        return new RationalPolynomial(...coefs.reverse());
+    }
+
+    /**
+     *  multiplyScalar
+     *
+     *  @param {module:kld-polynomial.Rational|bigint|number} scalar
+     *  @returns {module:kld-polynomial.RationalPolynomial}
+     */
+    multiplyScalar(scalar) {
+        const value = Rational.from(scalar);
+
+        return new RationalPolynomial(...this.coefs.map(c => c.multiply(value)).reverse());
+    }
+
+    /**
+     *  Exact polynomial long division, this = quotient * that + remainder.
+     *
+     *  @param {module:kld-polynomial.RationalPolynomial} that
+     *  @returns {{quotient: module:kld-polynomial.RationalPolynomial, remainder: module:kld-polynomial.RationalPolynomial}}
+     */
+    divide(that) {
+        if (that.isZero()) {
+            throw new RangeError("Division by the zero polynomial");
+        }
+
+        const n = that.getDegree();
+        const lead = that.coefs[n];
+        const remainder = this.coefs.slice();
+        const quotient = [];
+
+        for (let i = this.getDegree() - n; i >= 0; i--) {
+            const factor = remainder[i + n].divide(lead);
+
+            quotient[i] = factor;
+
+            for (let j = 0; j <= n; j++) {
+                remainder[i + j] = remainder[i + j].subtract(factor.multiply(that.coefs[j]));
+            }
+        }
+
+        return {
+            quotient: new RationalPolynomial(...quotient.reverse()),
+            remainder: new RationalPolynomial(...remainder.slice(0, n).reverse())
+        };
+    }
+
+    /**
+     *  Monic greatest common divisor using the Euclidean algorithm.
+     *
+     *  @param {module:kld-polynomial.RationalPolynomial} that
+     *  @returns {module:kld-polynomial.RationalPolynomial}
+     */
+    gcd(that) {
+        let a = this;
+        let b = that;
+
+        while (!b.isZero()) {
+            [a, b] = [b, a.divide(b).remainder];
+        }
+
+        return a.getMonic();
+    }
+
+    /**
+     *  Returns a copy of this polynomial scaled so that its leading coefficient
+     *  is 1.
+     *
+     *  @returns {module:kld-polynomial.RationalPolynomial}
+     */
+    getMonic() {
+        if (this.isZero()) {
+            return new RationalPolynomial();
+        }
+
+        const lead = this.coefs[this.getDegree()];
+
+        return new RationalPolynomial(...this.coefs.map(c => c.divide(lead)).reverse());
+    }
+
+    /**
+     *  getDerivative
+     *
+     *  @returns {module:kld-polynomial.RationalPolynomial}
+     */
+    getDerivative() {
+        const coefs = [];
+
+        for (let i = 1; i < this.coefs.length; i++) {
+            coefs.push(this.coefs[i].multiply(new Rational(i)));
+        }
+
+        return new RationalPolynomial(...coefs.reverse());
+    }
+
+    /**
+     *  Sturm sequence p, p', -rem(p, p'), ... computed exactly.
+     *  @see {@link http://en.wikipedia.org/wiki/Sturm%27s_theorem}
+     *
+     *  @returns {Array<module:kld-polynomial.RationalPolynomial>}
+     */
+    getSturmSequence() {
+        const sequence = [this, this.getDerivative()];
+
+        while (sequence[sequence.length - 1].getDegree() > 0) {
+            const a = sequence[sequence.length - 2];
+            const b = sequence[sequence.length - 1];
+            const r = a.divide(b).remainder;
+
+            if (r.isZero()) {
+                break;
+            }
+
+            sequence.push(r.negate());
+        }
+
+        return sequence;
+    }
+
+    /**
+     *  Counts the distinct Real roots on the closed interval [min, max] using
+     *  Sturm's theorem. Repeated roots are removed before building the sequence.
+     *
+     *  @param {module:kld-polynomial.Rational|bigint|number} min
+     *  @param {module:kld-polynomial.Rational|bigint|number} max
+     *  @returns {number}
+     */
+    countRealRootsInInterval(min, max) {
+        const lo = Rational.from(min);
+        const hi = Rational.from(max);
+
+        if (lo.compare(hi) > 0) {
+            throw new RangeError("Min must be less than or equal to max");
+        }
+        if (this.isZero()) {
+            throw new RangeError("Unexpected empty polynomial");
+        }
+        else if (this.getDegree() === 0) {
+            return 0;
+        }
+
+        let poly = this;
+        const g = poly.gcd(poly.getDerivative());
+
+        if (g.getDegree() > 0) {
+            poly = poly.divide(g).quotient;
+        }
+
+        const sequence = poly.getSturmSequence();
+        const signAt = (p, value) => p.eval(value).sign();
+        const count = Polynomial.sturmSignChanges(sequence, lo, signAt) - Polynomial.sturmSignChanges(sequence, hi, signAt);
+
+        // Sturm's theorem counts roots on (min, max]
+        return poly.eval(lo).isZero() ? count + 1 : count;
+    }
+
+    /**
+     *  toString
+     *
+     *  @returns {string}
+     */
+    toString() {
+        const terms = [];
+
+        for (let i = this.coefs.length - 1; i >= 0; i--) {
+            const c = this.coefs[i];
+
+            if (!c.isZero()) {
+                const magnitude = (c.sign() < 0) ? c.negate() : c;
+                const power = (i === 0) ? "" : (i === 1) ? "t" : "t^" + i;
+                const coefficient = (i > 0 && magnitude.equals(new Rational(1))) ? "" : magnitude.toString();
+                const text = (power !== "" && coefficient.includes("/"))
+                    ? "(" + coefficient + ")" + power
+                    : coefficient + power;
+
+                terms.push((terms.length === 0)
+                    ? ((c.sign() < 0) ? "-" : "") + text
+                    : ((c.sign() < 0) ? " - " : " + ") + text);
+            }
+        }
+
+        return (terms.length > 0) ? terms.join("") : "0";
+    }
+}
+
+export default RationalPolynomial;
@@ -10,7 +10,7 @@ import Polynomial from "./Polynomial.js";
 /**
  *  SqrtPolynomial
  *
- *  @deprecated
+ *  @deprecated Use Polynomial#sqrtIntegral and Polynomial#getParameterAtSqrtIntegral instead
  *  @memberof module:kld-polynomial
  */
 class SqrtPolynomial extends Polynomial {
@@ -51,4 +51,6 @@ class SqrtPolynomial extends Polynomial {
     }
 }
 
+Polynomial.registerType("SqrtPolynomial", SqrtPolynomial);
+
 export default SqrtPolynomial;
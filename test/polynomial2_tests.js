@@ -0,0 +1,130 @@
+import assert from "assert";
+import {Polynomial, Polynomial2} from "../index.js";
+
+/**
+ * Test that two floats are equal withing a tolerance
+ * @param {number} a
+ * @param {number} b
+ * @param {number} TOLERANCE
+ */
+function assertEqualWithinTolerance(a, b, TOLERANCE = 1e-10) {
+    assert(Math.abs(a - b) < TOLERANCE, `${a} === ${b}`);
+}
+
+// x^2 + y^2 - 1
+const circle = new Polynomial2([[-1, 0, 1], [0], [1]]);
+
+describe("Polynomial2", () => {
+    it("eval", () => {
+        assert.strictEqual(circle.eval(1, 0), 0);
+        assert.strictEqual(circle.eval(2, 3), 12);
+    });
+    it("degrees", () => {
+        const p = new Polynomial2([[0, 0, 1], [0, 3]]);
+
+        assert.strictEqual(p.getDegreeX(), 1);
+        assert.strictEqual(p.getDegreeY(), 2);
+        assert.strictEqual(p.getDegree(), 2);
+    });
+    it("add", () => {
+        const result = circle.add(new Polynomial2([[1], [2, 3]]));
+
+        assert.strictEqual(result.toString(), "x^2 + 3xy + 2x + y^2");
+    });
+    it("multiply", () => {
+        // (x + y)(x - y) = x^2 - y^2
+        const p1 = new Polynomial2([[0, 1], [1]]);
+        const p2 = new Polynomial2([[0, -1], [1]]);
+
+        assert.strictEqual(p1.multiply(p2).toString(), "x^2 - y^2");
+    });
+    it("partial derivatives", () => {
+        const p = new Polynomial2([[0, 0, 1], [0, 3], [2]]);
+
+        assert.strictEqual(p.getDerivativeX().toString(), "4x + 3y");
+        assert.strictEqual(p.getDerivativeY().toString(), "3x + 2y");
+    });
+    it("substitute", () => {
+        // unit circle through a rational parametrization is identically zero
+        const x = new Polynomial(-1, 0, 1);
+        const y = new Polynomial(2, 0);
+        const denominator = new Polynomial(1, 0, 1);
+        const homogeneous = new Polynomial2([[0, 0, 1], [0], [1]]);
+        const result = homogeneous.substitute(x, y).subtract(denominator.multiply(denominator));
+
+        assert.strictEqual(result.simplify().getDegree(), -1);
+    });
+    it("substitute line into circle", () => {
+        // x = t, y = t
+        const t = new Polynomial(1, 0);
+        const roots = circle.substitute(t, t).getRootsInInterval(0, 1);
+
+        assert.strictEqual(roots.length, 1);
+        assertEqualWithinTolerance(roots[0], Math.SQRT1_2, 1e-6);
+    });
+    it("evalX keeps nominal degree", () => {
+        const p = new Polynomial2([[1, 0, 0], [0, 2, 1]]);
+
+        assert.deepStrictEqual(p.evalX(2).coefs, [1, 4, 2]);
+        assert.deepStrictEqual(new Polynomial2([[0, 1, 1], [0, 0, -1]]).evalX(1).coefs, [0, 1, 0]);
+    });
+    it("solveSystem circle and line", () => {
+        const line = new Polynomial2([[0, -1], [1]]);
+        const solutions = Polynomial2.solveSystem(circle, line);
+
+        assert.strictEqual(solutions.length, 2);
+        assertEqualWithinTolerance(solutions[0].x, -Math.SQRT1_2);
+        assertEqualWithinTolerance(solutions[0].y, -Math.SQRT1_2);
+        assertEqualWithinTolerance(solutions[1].x, Math.SQRT1_2);
+        assertEqualWithinTolerance(solutions[1].y, Math.SQRT1_2);
+    });
+    it("solveSystem parabola and circle in range", () => {
+        // y = x^2 and x^2 + y^2 = 4
+        const parabola = new Polynomial2([[0, -1], [0], [1]]);
+        const other = new Polynomial2([[-4, 0, 1], [0], [1]]);
+        const solutions = Polynomial2.solveSystem(parabola, other, {xRange: [0, 3], yRange: [0, 3]});
+        const y = (Math.sqrt(17) - 1) / 2;
+
+        assert.strictEqual(solutions.length, 1);
+        assertEqualWithinTolerance(solutions[0].x, Math.sqrt(y));
+        assertEqualWithinTolerance(solutions[0].y, y);
+    });
+    it("solveSystem tangent", () => {
+        const solutions = Polynomial2.solveSystem(circle, new Polynomial2([[-1], [1]]));
+
+        assert.strictEqual(solutions.length, 1);
+        assertEqualWithinTolerance(solutions[0].x, 1);
+        assertEqualWithinTolerance(solutions[0].y, 0);
+    });
+    it("solveSystem symmetric ellipses", () => {
+        // x^2 + 4y^2 = 1 and 4x^2 + y^2 = 1 cross at (±1/√5, ±1/√5), double roots of the resultant
+        const first = new Polynomial2([[-1, 0, 4], [0], [1]]);
+        const second = new Polynomial2([[-1, 0, 1], [0], [4]]);
+        const solutions = Polynomial2.solveSystem(first, second);
+        const r = 1 / Math.sqrt(5);
+
+        assert.strictEqual(solutions.length, 4);
+        [[-r, -r], [-r, r], [r, -r], [r, r]].forEach(([x, y], i) => {
+            assertEqualWithinTolerance(solutions[i].x, x);
+            assertEqualWithinTolerance(solutions[i].y, y);
+        });
+    });
+    it("solveSystem tangent circles", () => {
+        // (x - 2)^2 + y^2 = 1 touches the unit circle at (1, 0)
+        const other = new Polynomial2([[3, 0, 1], [-4], [1]]);
+        const solutions = Polynomial2.solveSystem(circle, other, {xRange: [-3, 3]});
+
+        assert.strictEqual(solutions.length, 1);
+        assertEqualWithinTolerance(solutions[0].x, 1);
+        assertEqualWithinTolerance(solutions[0].y, 0);
+    });
+    it("solveSystem common factor", () => {
+        const line = new Polynomial2([[0, -1], [1]]);
+
+        assert.throws(() => Polynomial2.solveSystem(circle, circle.multiply(line)), RangeError);
+    });
+    it("toString", () => {
+        assert.strictEqual(circle.toString(), "x^2 + y^2 - 1");
+        assert.strictEqual(new Polynomial2().toString(), "0");
+    });
+});
@@ -37,6 +37,194 @@ describe("Polynomial", () => {
             poly._variable = "s";
             assert.strictEqual(poly.toString(), "2s^2 + s");
         });
+        it("Zero polynomial", () => {
+            const poly = new Polynomial(0);
+
+            assert.strictEqual(poly.toString(), "0");
+        });
+        it("format with precision", () => {
+            const poly = new Polynomial(1e-12, 2 / 3, 0);
+
+            assert.strictEqual(poly.toString(), "0.667t");
+            assert.strictEqual(poly.format({precision: 2}), "1e-12t^2 + 0.67t");
+        });
+        it("format rejects bad precision and decimals", () => {
+            const poly = new Polynomial(2 / 3, 1);
+
+            assert.throws(() => poly.format({precision: 0}), /Precision/);
+            assert.throws(() => poly.format({precision: 101}), /Precision/);
+            assert.throws(() => poly.format({precision: 2.5}), /Precision/);
+            assert.throws(() => poly.format({decimals: -1}), /Decimals/);
+            assert.throws(() => poly.format({decimals: "2"}), /Decimals/);
+            assert.strictEqual(poly.format({decimals: 0}), "t + 1");
+        });
+        it("format in ascending order with variable", () => {
+            const poly = new Polynomial(2, -1, 4);
+
+            assert.strictEqual(poly.format({order: "ascending", variable: "x"}), "4 - x + 2x^2");
+        });
+        it("format as unicode", () => {
+            const poly = new Polynomial(-2, 0, 1, 0);
+
+            assert.strictEqual(poly.format({style: "unicode"}), "−2t³ + t");
+        });
+        it("format as LaTeX", () => {
+            const poly = new Polynomial(2, -1, 1.5e-9);
+
+            assert.strictEqual(poly.format({style: "latex"}), "2t^{2} - t + 1.5 \\times 10^{-9}");
+        });
+        it("format as MathML", () => {
+            const poly = new Polynomial(3, -1);
+
+            assert.strictEqual(
+                poly.format({style: "mathml"}),
+                "<math xmlns=\"http://www.w3.org/1998/Math/MathML\"><mrow><mn>3</mn><mo>&#x2062;</mo><mi>t</mi><mo>&#x2212;</mo><mn>1</mn></mrow></math>"
+            );
+        });
+    });
+    describe("Serialization", () => {
+        it("toJSON", () => {
+            const poly = new Polynomial(2, 1, 0);
+
+            poly._variable = "s";
+
+            assert.deepStrictEqual(poly.toJSON(), {
+                type: "Polynomial",
+                version: 1,
+                order: "ascending",
+                variable: "s",
+                coefs: [0, 1, 2]
+            });
+        });
+        it("fromJSON with descending order", () => {
+            const poly = Polynomial.fromJSON({
+                type: "Polynomial",
+                version: 1,
+                order: "descending",
+                variable: "x",
+                coefs: [2, 1, 0]
+            });
+
+            assertEqualPolynomials(poly, new Polynomial(2, 1, 0));
+            assert.strictEqual(poly._variable, "x");
+        });
+        it("round trip through reviver", () => {
+            const poly = new Polynomial(3, -1, 4);
+            // eslint-disable-next-line compat/compat
+            const text = JSON.stringify({curve: poly, other: {coefs: [1]}});
+            // eslint-disable-next-line compat/compat
+            const result = JSON.parse(text, Polynomial.reviver);
+
+            assert.strictEqual(result.curve.constructor, Polynomial);
+            assertEqualPolynomials(result.curve, poly);
+            assert.deepStrictEqual(result.other, {coefs: [1]});
+        });
+        it("fromJSON rejects unknown versions", () => {
+            const json = new Polynomial(1, 2).toJSON();
+
+            json.version = 99;
+            assert.throws(() => Polynomial.fromJSON(json), RangeError);
+        });
+        it("fromJSON rejects malformed payloads", () => {
+            const json = new Polynomial(1, 2).toJSON();
+
+            assert.throws(() => Polynomial.fromJSON({...json, version: "1"}), TypeError);
+            assert.throws(() => Polynomial.fromJSON({...json, version: 0}), RangeError);
+            assert.throws(() => Polynomial.fromJSON({...json, coefs: [1, "2"]}), TypeError);
+            assert.throws(() => Polynomial.fromJSON({...json, coefs: [1, null]}), TypeError);
+            assert.throws(() => Polynomial.fromJSON({...json, coefs: [1, Infinity]}), TypeError);
+            assert.throws(() => Polynomial.fromJSON({...json, coefs: []}), TypeError);
+        });
+    });
+    describe("Construction", () => {
+        it("fromPoints", () => {
+            const poly = Polynomial.fromPoints([1, 2, 3], [2, 5, 10]);
+            const expected = new Polynomial(1, 0, 1);
+
+            assertEqualPolynomials(poly, expected);
+        });
+        it("fromPoints with repeated x", () => {
+            assert.throws(() => Polynomial.fromPoints([1, 1], [2, 3]), RangeError);
+        });
+        it("fromHermite", () => {
+            const poly = Polynomial.fromHermite([0, 1], [0, 1], [0, 0]);
+            const expected = new Polynomial(-2, 3, 0, 0);
+
+            assertEqualPolynomials(poly, expected);
+        });
+        it("fromRoots", () => {
+            const poly = Polynomial.fromRoots([1, 2], 2);
+            const expected = new Polynomial(2, -6, 4);
+
+            assertEqualPolynomials(poly, expected);
+        });
+        it("fit with degree", () => {
+            const xs = [0, 1, 2, 3];
+            const ys = [1, 3, 5, 100];
+            const result = Polynomial.fit(xs, ys, {degree: 1, weights: [1, 1, 1, 0]});
+
+            assert.strictEqual(result.degree, 1);
+            assertEqualWithinTolerance(result.polynomial.coefs[0], 1);
+            assertEqualWithinTolerance(result.polynomial.coefs[1], 2);
+            assertEqualWithinTolerance(result.residual, 0);
+        });
+        it("fit with automatic degree", () => {
+            const noise = [0.003, -0.002, 0.001, -0.004, 0.002, 0.0, -0.001, 0.003, -0.003, 0.001];
+            const xs = noise.map((_, i) => 100 + i);
+            const ys = xs.map((x, i) => 2 - 0.5 * x + 0.01 * x * x + noise[i]);
+            const result = Polynomial.fit(xs, ys);
+
+            assert.strictEqual(result.degree, 2);
+            assertEqualWithinTolerance(result.polynomial.eval(105), 2 - 52.5 + 110.25, 1e-2);
+            assert(result.condition >= 1);
+        });
+        it("fit many points", () => {
+            const xs = [];
+
+            for (let i = 0; i < 200000; i++) {
+                xs.push(i / 1000);
+            }
+
+            const result = Polynomial.fit(xs, xs.map(x => 3 * x - 1), {degree: 1});
+
+            assertEqualWithinTolerance(result.polynomial.coefs[0], -1, 1e-9);
+            assertEqualWithinTolerance(result.polynomial.coefs[1], 3, 1e-9);
+        });
+        it("fit without a usable degree", () => {
+            assert.throws(() => Polynomial.fit([0, 1, 2], [1, 2, 3], {weights: [0, 0, 0]}), /weight must be positive/);
+            assert.throws(() => Polynomial.fit([0, 1, 2], [1, NaN, 3]), /No degree could be fitted/);
+        });
+    });
+    describe("Parsing", () => {
+        it("parse toString output", () => {
+            const poly = new Polynomial(2, 0, -1, 4);
+            const result = Polynomial.parse(poly.toString());
+
+            assertEqualPolynomials(result, poly);
+        });
+        it("parse products and powers", () => {
+            const result = Polynomial.parse("2 * (s + 1)(s - 1) + s^2");
+            const expected = new Polynomial(3, 0, -2);
+
+            assertEqualPolynomials(result, expected);
+            assert.strictEqual(result._variable, "s");
+        });
+        it("parse with variable name", () => {
+            const result = Polynomial.parse("tau^2 - 2tau", {variable: "tau"});
+            const expected = new Polynomial(1, -2, 0);
+
+            assertEqualPolynomials(result, expected);
+        });
+        it("parse error position", () => {
+            assert.throws(
+                () => Polynomial.parse("3t^2 + $"),
+                e => e.name === "SyntaxError" && e.position === 7
+            );
+            assert.throws(
+                () => Polynomial.parse("x + 1", {variable: "t"}),
+                e => e.name === "SyntaxError" && e.position === 0
+            );
+        });
     });
     describe("Operations", () => {
         it("clone", () => {
@@ -68,6 +256,125 @@ describe("Polynomial", () => {
 
             assertEqualPolynomials(result, expected);
         });
+        it("divide", () => {
+            const poly = new Polynomial(1, -3, 0, -4);
+            const {quotient, remainder} = poly.divide(new Polynomial(1, -3));
+
+            assertEqualPolynomials(quotient, new Polynomial(1, 0, 0));
+            assertEqualPolynomials(remainder, new Polynomial(-4));
+        });
+        it("divide exactly", () => {
+            const poly = new Polynomial(1, -5).multiply(new Polynomial(2, 1));
+            const {quotient, remainder} = poly.divide(new Polynomial(1e-14, 1, -5));
+
+            assertEqualPolynomials(quotient, new Polynomial(2, 1));
+            assertEqualPolynomials(remainder, new Polynomial(0));
+        });
+        it("divide by zero polynomial", () => {
+            const poly = new Polynomial(1, 2, 3);
+
+            assert.throws(() => poly.divide(new Polynomial(0)), RangeError);
+        });
+        it("gcd", () => {
+            const poly1 = new Polynomial(1, -1).multiply(new Polynomial(1, -2));
+            const poly2 = new Polynomial(1, -1).multiply(new Polynomial(1, -3));
+            const result = poly1.gcd(poly2);
+
+            assert.strictEqual(result.getDegree(), 1);
+            assertEqualWithinTolerance(result.coefs[0], -1);
+            assert.strictEqual(result.coefs[1], 1);
+        });
+        it("squareFreeFactorization", () => {
+            const poly = new Polynomial(2, 2)
+                .multiply(new Polynomial(1, -1))
+                .multiply(new Polynomial(1, -1))
+                .multiply(new Polynomial(1, -2))
+                .multiply(new Polynomial(1, -2))
+                .multiply(new Polynomial(1, -2));
+            const factors = poly.squareFreeFactorization();
+
+            assert.strictEqual(factors.length, 3);
+            [-1, 1, 2].forEach((x, i) => {
+                assert.strictEqual(factors[i].multiplicity, i + 1);
+                assert.strictEqual(factors[i].factor.getDegree(), 1);
+                assertEqualWithinTolerance(factors[i].factor.eval(x), 0, 1e-10);
+            });
+        });
+        it("compose", () => {
+            const poly1 = new Polynomial(1, 0, 1);
+            const poly2 = new Polynomial(2, -1);
+            const expected = new Polynomial(4, -4, 2);
+
+            assertEqualPolynomials(poly1.compose(poly2), expected);
+        });
+        it("shift", () => {
+            const poly = new Polynomial(1, -3, 2);
+            const expected = new Polynomial(1, 1, 0);
+
+            assertEqualPolynomials(poly.shift(2), expected);
+        });
+        it("scaleVariable", () => {
+            const poly = new Polynomial(1, -3, 2);
+            const expected = new Polynomial(4, -6, 2);
+
+            assertEqualPolynomials(poly.scaleVariable(2), expected);
+        });
+        it("subtract", () => {
+            const poly1 = new Polynomial(2, 1, 0);
+            const poly2 = new Polynomial(3, 5, 7, 9);
+            const expected = new Polynomial(-3, -3, -6, -9);
+
+            assertEqualPolynomials(poly1.subtract(poly2), expected);
+        });
+        it("negate", () => {
+            const poly = new Polynomial(2, -1, 3);
+            const expected = new Polynomial(-2, 1, -3);
+
+            assertEqualPolynomials(poly.negate(), expected);
+        });
+        it("multiplyScalar", () => {
+            const poly = new Polynomial(3, 2, 1);
+            const expected = new Polynomial(6, 4, 2);
+
+            assertEqualPolynomials(poly.multiplyScalar(2), expected);
+        });
+        it("divideScalar", () => {
+            const poly = new Polynomial(6, 4, 2);
+            const expected = new Polynomial(3, 2, 1);
+            const result = poly.divideScalar(2);
+
+            assertEqualPolynomials(result, expected);
+            assertEqualPolynomials(poly, new Polynomial(6, 4, 2));
+        });
+        it("pow", () => {
+            const poly = new Polynomial(1, 1);
+            const expected = new Polynomial(1, 3, 3, 1);
+
+            assertEqualPolynomials(poly.pow(3), expected);
+            assertEqualPolynomials(poly.pow(0), new Polynomial(1));
+            assert.throws(() => poly.pow(-1), RangeError);
+        });
+        it("simplify", () => {
+            const poly = new Polynomial(1e-13, 4, 2);
+            const expected = new Polynomial(4, 2);
+
+            assertEqualPolynomials(poly.simplify(), expected);
+            assert.strictEqual(poly.getDegree(), 2);
+        });
+        it("removeZeros", () => {
+            const poly = new Polynomial(1e-15, 2, 1e-16, 4, 1e-17);
+            const expected = new Polynomial(1e-15, 2, 0, 4, 0);
+
+            assertEqualPolynomials(poly.removeZeros(), expected);
+            assert.strictEqual(poly.coefs[0], 1e-17);
+        });
+        it("getMonic", () => {
+            const poly = new Polynomial(2, 4, 6, 8);
+            const expected = new Polynomial(1, 2, 3, 4);
+
+            assertEqualPolynomials(poly.getMonic(), expected);
+            assert.strictEqual(poly.coefs[3], 2);
+        });
         it("divideEqualsScalar", () => {
             const poly = new Polynomial(6, 4, 2);
             const expected = new Polynomial(3, 2, 1);
@@ -107,6 +414,58 @@ describe("Polynomial", () => {
 
             assertEqualPolynomials(result, expected);
         });
+        it("nth derivative", () => {
+            const poly = new Polynomial(2, 4, 6, 8);
+
+            assertEqualPolynomials(poly.getNthDerivative(2), new Polynomial(12, 8));
+            assertEqualPolynomials(poly.getNthDerivative(0), poly);
+            assert.strictEqual(poly.getNthDerivative(5).coefs.length, 0);
+            assert.throws(() => poly.getNthDerivative(1.5), RangeError);
+        });
+        it("evalMany", () => {
+            const poly = new Polynomial(1, 0, -1);
+            // eslint-disable-next-line compat/compat
+            const result = poly.evalMany(new Float64Array([0, 1, 2, 3]));
+
+            assert(result.constructor === Float64Array);
+            assert.deepStrictEqual([...result], [-1, 0, 3, 8]);
+        });
+        it("evalMany strided", () => {
+            const poly = new Polynomial(2, 1);
+            // interleaved x/y pairs, writing y = p(x) in place
+            const points = [1, 0, 2, 0, 3, 0];
+
+            poly.evalMany(points, points, {stride: 2, outStride: 2, outOffset: 1});
+
+            assert.deepStrictEqual(points, [1, 3, 2, 5, 3, 7]);
+            assert.throws(() => poly.evalMany([1, 2, 3], [0, 0]), RangeError);
+        });
+        it("evalWithDerivatives", () => {
+            const poly = new Polynomial(1, -2, 3, -4, 5);
+
+            assert.deepStrictEqual(poly.evalWithDerivatives(2, 5), [9, 16, 30, 36, 24, 0]);
+            assert.deepStrictEqual(poly.evalWithDerivatives(2, 0), [poly.eval(2)]);
+        });
+        it("root multiplicity", () => {
+            const poly = Polynomial.fromRoots([2, 2, 2, -1]);
+
+            assert.strictEqual(poly.getRootMultiplicity(2), 3);
+            assert.strictEqual(poly.getRootMultiplicity(-1), 1);
+            assert.strictEqual(poly.getRootMultiplicity(0), 0);
+        });
+        it("antiderivative", () => {
+            const poly = new Polynomial(6, 8, 6);
+            const result = poly.getAntiderivative(8);
+            const expected = new Polynomial(2, 4, 6, 8);
+
+            assertEqualPolynomials(result, expected);
+        });
+        it("integrate", () => {
+            const poly = new Polynomial(3, -2, 1);
+
+            assert.strictEqual(poly.integrate(0, 2), 6);
+            assert.strictEqual(poly.integrate(2, 0), -6);
+        });
     });
     describe("Roots", () => {
         it("linear", () => {
@@ -152,6 +511,163 @@ describe("Polynomial", () => {
             assertEqualWithinTolerance(roots[2], 7);
             assertEqualWithinTolerance(roots[3], 8);
         });
+        it("quintic", () => {
+            let poly = new Polynomial(1);
+
+            for (let i = 1; i <= 5; i++) {
+                poly = poly.multiply(new Polynomial(1, -i));
+            }
+
+            const roots = poly.getRoots();
+
+            assert.strictEqual(roots.length, 5);
+            for (let i = 0; i < 5; i++) {
+                assertEqualWithinTolerance(roots[i], i + 1, 1e-9);
+            }
+        });
+        it("sextic with complex roots", () => {
+            const poly = new Polynomial(1, 0, 1)
+                .multiply(new Polynomial(1, -1))
+                .multiply(new Polynomial(1, 2))
+                .multiply(new Polynomial(2, -1))
+                .multiply(new Polynomial(1, 0));
+            const roots = poly.getRealRoots();
+
+            assert.strictEqual(roots.length, 4);
+            assertEqualWithinTolerance(roots[0], -2);
+            assertEqualWithinTolerance(roots[1], 0);
+            assertEqualWithinTolerance(roots[2], 0.5);
+            assertEqualWithinTolerance(roots[3], 1);
+        });
+        it("quintic with a small constant term", () => {
+            const roots = new Polynomial(1e10, 0, 0, 0, 0, -1).getRoots();
+            const scaled = new Polynomial(1, 0, 0, 0, 0, -1e-10).getRoots();
+
+            assert.strictEqual(roots.length, 1);
+            assertEqualWithinTolerance(roots[0], 0.01, 1e-12);
+            assert.strictEqual(scaled.length, 1);
+            assertEqualWithinTolerance(scaled[0], 0.01, 1e-12);
+        });
+        it("quintic with close roots", () => {
+            const roots = Polynomial.fromRoots([1, 1.000001, 5, -2, -7]).getRoots();
+
+            assert.strictEqual(roots.length, 5);
+            assertEqualWithinTolerance(roots[2], 1, 1e-6);
+            assertEqualWithinTolerance(roots[3], 1.000001, 1e-6);
+        });
+        it("complex roots", () => {
+            const poly = new Polynomial(1, 2, 5).multiply(new Polynomial(1, -3));
+            const roots = poly.getComplexRoots();
+
+            assert.strictEqual(roots.length, 3);
+            assertEqualWithinTolerance(roots[0].re, -1);
+            assertEqualWithinTolerance(roots[0].im, -2);
+            assertEqualWithinTolerance(roots[1].re, -1);
+            assertEqualWithinTolerance(roots[1].im, 2);
+            assertEqualWithinTolerance(roots[2].re, 3);
+            assert.strictEqual(roots[2].im, 0);
+        });
+        it("roots with multiplicity", () => {
+            const poly = new Polynomial(1, -1)
+                .multiply(new Polynomial(1, -1))
+                .multiply(new Polynomial(1, -3));
+            const roots = poly.getRoots({withMultiplicity: true});
+
+            assert.strictEqual(roots.length, 2);
+            assertEqualWithinTolerance(roots[0].value, 1);
+            assert.strictEqual(roots[0].multiplicity, 2);
+            assertEqualWithinTolerance(roots[1].value, 3);
+            assert.strictEqual(roots[1].multiplicity, 1);
+        });
+        it("quartic double roots with multiplicity", () => {
+            const poly = new Polynomial(1, -1)
+                .multiply(new Polynomial(1, -1))
+                .multiply(new Polynomial(1, -3))
+                .multiply(new Polynomial(1, -3));
+            const roots = poly.getRoots({withMultiplicity: true});
+
+            assert.strictEqual(roots.length, 2);
+            assert.strictEqual(roots[0].multiplicity, 2);
+            assert.strictEqual(roots[1].multiplicity, 2);
+        });
+        it("double root at zero with multiplicity", () => {
+            const roots = Polynomial.fromRoots([0, 0, 1]).getRoots({withMultiplicity: true});
+
+            assert.strictEqual(roots.length, 2);
+            assertEqualWithinTolerance(roots[0].value, 0);
+            assert.strictEqual(roots[0].multiplicity, 2);
+            assert.strictEqual(roots[1].multiplicity, 1);
+        });
+        it("quadruple root with multiplicity", () => {
+            const roots = new Polynomial(1, -0.3).pow(4).getRoots({withMultiplicity: true});
+
+            assert.strictEqual(roots.length, 1);
+            assertEqualWithinTolerance(roots[0].value, 0.3, 1e-5);
+            assert.strictEqual(roots[0].multiplicity, 4);
+        });
+        it("Sturm sequence", () => {
+            const poly = new Polynomial(1, 0, -3, 1);
+            const sequence = poly.getSturmSequence();
+
+            assert.strictEqual(sequence.length, 4);
+            assert.strictEqual(sequence[3].getDegree(), 0);
+        });
+        it("Sturm sign changes", () => {
+            const sequence = new Polynomial(1, 0, -3, 1).getSturmSequence();
+
+            // all three roots lie in (-2, 2)
+            assert.strictEqual(Polynomial.sturmSignChanges(sequence, -2) - Polynomial.sturmSignChanges(sequence, 2), 3);
+            assert.strictEqual(Polynomial.sturmSignChanges(sequence, 0, () => 1), 0);
+        });
+        it("count roots in interval", () => {
+            const poly = new Polynomial(1, -0.25)
+                .multiply(new Polynomial(1, -0.75))
+                .multiply(new Polynomial(1, -0.75))
+                .multiply(new Polynomial(1, 0, 1));
+
+            assert.strictEqual(poly.countRealRootsInInterval(0, 1), 2);
+            assert.strictEqual(poly.countRealRootsInInterval(0.25, 0.5), 1);
+            assert.strictEqual(poly.countRealRootsInInterval(0.3, 0.7), 0);
+            assert.strictEqual(poly.countRealRootsInInterval(-10, 0), 0);
+        });
+        it("count close roots in interval", () => {
+            const small = new Polynomial(1, 0, 0, 0, 0, -1e-10);
+            const close = Polynomial.fromRoots([1, 1.000001, 5, -2, -7]);
+
+            assert.strictEqual(small.countRealRootsInInterval(0.005, 0.02), 1);
+            assert.strictEqual(close.countRealRootsInInterval(0, 2), 2);
+        });
+        it("tight bounds", () => {
+            const poly = Polynomial.fromRoots([1, 2, 3, 4]);
+            const rb = poly.bounds();
+            const tight = poly.boundsTight();
+
+            assert.ok(tight.minX >= rb.minX && tight.maxX <= rb.maxX);
+            assert.ok(tight.minX <= 1 && tight.maxX >= 4);
+            assert.ok(tight.maxX - tight.minX < rb.maxX - rb.minX);
+        });
+        it("getRoots does not modify polynomial", () => {
+            const poly = new Polynomial(1e-13, 1, -3, 2);
+
+            poly.getRoots();
+
+            assert.strictEqual(poly.getDegree(), 3);
+        });
+        it("resultant", () => {
+            const p = new Polynomial(1, -1).multiply(new Polynomial(1, -2));
+            const q = new Polynomial(1, -1).multiply(new Polynomial(1, 5));
+            const r = new Polynomial(1, -3);
+
+            assertEqualWithinTolerance(Polynomial.resultant(p, q), 0);
+            // resultant of (t - 1)(t - 2) and t - 3 is p(3)
+            assertEqualWithinTolerance(Polynomial.resultant(p, r), 2);
+            assertEqualWithinTolerance(Polynomial.resultant(new Polynomial(2), p), 4);
+        });
+        it("discriminant", () => {
+            assertEqualWithinTolerance(new Polynomial(1, 3, -4).discriminant(), 25);
+            assertEqualWithinTolerance(new Polynomial(1, 0, -3, 1).discriminant(), 81);
+            assertEqualWithinTolerance(new Polynomial(1, -1).pow(2).multiply(new Polynomial(1, 4)).discriminant(), 0);
+        });
         it("bisection", () => {
             const poly = new Polynomial(1, -0.25);
             /* eslint-disable-next-line no-shadow */
@@ -168,5 +684,184 @@ describe("Polynomial", () => {
             assertEqualWithinTolerance(roots[0], 0.25);
             assertEqualWithinTolerance(roots[1], 0.75);
         });
+        it("extrema", () => {
+            const extrema = new Polynomial(1, 0, -3, 0).getExtrema(-2, 2);
+
+            assert.deepStrictEqual(extrema.map(e => e.type), ["max", "min"]);
+            assertEqualWithinTolerance(extrema[0].x, -1, 1e-6);
+            assertEqualWithinTolerance(extrema[0].value, 2, 1e-6);
+            assertEqualWithinTolerance(extrema[1].x, 1, 1e-6);
+            assertEqualWithinTolerance(extrema[1].value, -2, 1e-6);
+        });
+        it("extrema classification", () => {
+            assert.deepStrictEqual(new Polynomial(1, 0, 0, 0).getExtrema(-1, 1), [{x: 0, value: 0, type: "saddle"}]);
+            assert.deepStrictEqual(new Polynomial(1, 0, 0, 0, 0).getExtrema(-1, 1), [{x: 0, value: 0, type: "min"}]);
+            assert.deepStrictEqual(new Polynomial(2, 1).getExtrema(-1, 1), []);
+            assert.deepStrictEqual(new Polynomial(5).getExtrema(-1, 1), []);
+        });
+        it("inflection points", () => {
+            const points = new Polynomial(1, 0, -3, 0).getInflectionPoints(-2, 2);
+
+            assert.deepStrictEqual(points, [{x: 0, value: 0}]);
+            // t^4 has p''(0) = 0 without a change of concavity
+            assert.deepStrictEqual(new Polynomial(1, 0, 0, 0, 0).getInflectionPoints(-1, 1), []);
+        });
+        it("range", () => {
+            const range = new Polynomial(1, 0, -3, 0).getRange(-2, 3);
+
+            assertEqualWithinTolerance(range.min, -2, 1e-6);
+            assert.strictEqual(range.max, 18);
+            assert.deepStrictEqual(new Polynomial(2, 1).getRange(-1, 1), {min: -1, max: 3});
+            assert.deepStrictEqual(new Polynomial(5).getRange(-1, 1), {min: 5, max: 5});
+        });
+        it("roots in interval without roots", () => {
+            const poly = new Polynomial(1, 0, 1);
+
+            assert.deepStrictEqual(poly.getRootsInInterval(-2, 2), []);
+        });
+        it("sqrtIntegral", () => {
+            // arc length of (t, t^2) on [0, 1], where the squared speed is 1 + 4t^2
+            const poly = new Polynomial(4, 0, 1);
+            const expected = Math.sqrt(5) / 2 + Math.log(2 + Math.sqrt(5)) / 4;
+
+            assertEqualWithinTolerance(poly.sqrtIntegral(0, 1), expected);
+            assertEqualWithinTolerance(poly.sqrtIntegral(1, 0), -expected);
+        });
+        it("sqrtIntegral with a vanishing integrand", () => {
+            // sqrt((t - 0.3)^2) = |t - 0.3|
+            const poly = new Polynomial(1, -0.6, 0.09);
+
+            assertEqualWithinTolerance(poly.sqrtIntegral(0, 1), 0.29);
+            assertEqualWithinTolerance(poly.sqrtIntegral(0, 0.301), 0.045 + 0.0000005);
+            assertEqualWithinTolerance(new Polynomial(1, 0).sqrtIntegral(0, 1), 2 / 3);
+        });
+        it("sqrtIntegral negative policy", () => {
+            const poly = new Polynomial(-1);
+
+            assert.throws(() => poly.sqrtIntegral(0, 1), RangeError);
+            assert.strictEqual(poly.sqrtIntegral(0, 1, {onNegative: "clamp"}), 0);
+            assert.strictEqual(new Polynomial(-1e-9).sqrtIntegral(0, 1), 0);
+            assert.throws(() => new Polynomial(-1e-9).sqrtIntegral(0, 1, {clampTolerance: 1e-10}), RangeError);
+            assert.throws(() => poly.sqrtIntegral(0, 1, {onNegative: "ignore"}), RangeError);
+        });
+        it("getParameterAtSqrtIntegral", () => {
+            const poly = new Polynomial(4, 0, 1);
+            const arcLength = poly.sqrtIntegral(0, 1);
+            const t = poly.getParameterAtSqrtIntegral(arcLength / 3, 0, 1);
+
+            assertEqualWithinTolerance(poly.sqrtIntegral(0, t), arcLength / 3);
+            assert.strictEqual(poly.getParameterAtSqrtIntegral(0, 0, 1), 0);
+            assert.strictEqual(poly.getParameterAtSqrtIntegral(arcLength, 0, 1), 1);
+            assert.throws(() => poly.getParameterAtSqrtIntegral(2 * arcLength, 0, 1), RangeError);
+        });
+        it("sqrtIntegral with a squared factor", () => {
+            // the speed |t - 0.5| vanishes at a cusp, found only roughly by getRootsInInterval
+            const cusp = Polynomial.fromRoots([0.5, 0.5]);
+            const end = 0.5002441410947279;
+
+            assertEqualWithinTolerance(cusp.sqrtIntegral(0, end), 0.125 + Math.pow(end - 0.5, 2) / 2);
+            assert.throws(() => new Polynomial(1, 0, 1).sqrtIntegral(0, 1, {maxEvaluations: 10}), RangeError);
+        });
+        it("getParameterAtSqrtIntegral at a cusp", () => {
+            // squared speed (2t - 1)^2 (t^2 + 1)
+            const poly = new Polynomial(2, -1).pow(2).multiply(new Polynomial(1, 0, 1));
+            const s = poly.sqrtIntegral(0, 0.5);
+
+            assertEqualWithinTolerance(poly.getParameterAtSqrtIntegral(s, 0, 1), 0.5, 1e-7);
+
+            const t = poly.getParameterAtSqrtIntegral(2 * s, 0, 1);
+
+            assertEqualWithinTolerance(poly.sqrtIntegral(0, t), 2 * s);
+        });
+        it("evalCompensated", () => {
+            // (t - 1)^7, where plain Horner returns only rounding noise near 1
+            const poly = new Polynomial(1, -1).pow(7);
+            const x = 1.001;
+            const exact = Math.pow(x - 1, 7);
+            const {value, errorBound} = poly.evalCompensated(x);
+
+            assert(Math.abs(poly.eval(x) - exact) > 1e-16);
+            assert(Math.abs(value - exact) <= errorBound);
+            assert(errorBound < 1e-28);
+        });
+        it("cubic with close roots", () => {
+            const roots = Polynomial.fromRoots([1.046, 1.047, 1.08]).getCubicRoots().sort((a, b) => a - b);
+
+            assert.strictEqual(roots.length, 3);
+            assertEqualWithinTolerance(roots[0], 1.046, 1e-9);
+            assertEqualWithinTolerance(roots[1], 1.047, 1e-9);
+            assertEqualWithinTolerance(roots[2], 1.08, 1e-9);
+        });
+        it("quartic with double root", () => {
+            const roots = Polynomial.fromRoots([0.3, 0.3, -1.1, 1.7]).getQuarticRoots().sort((a, b) => a - b);
+
+            assert.strictEqual(roots.length, 4);
+            assertEqualWithinTolerance(roots[1], 0.3, 1e-6);
+            assertEqualWithinTolerance(roots[2], 0.3, 1e-6);
+        });
+        it("quartic with random double roots", () => {
+            // Park-Miller generator, so failures can be reproduced
+            let seed = 12345;
+            const random = () => {
+                seed = (seed * 16807) % 2147483647;
+
+                return seed / 2147483647;
+            };
+            const cases = [[9.80733124530284, -8.183760195124783, -4.457599462223053, 55.63919208576399]];
+
+            for (let i = 0; i < 1000; i++) {
+                cases.push([random() * 20 - 10, random() * 20 - 10, random() * 20 - 10, random() * 100]);
+            }
+
+            for (const [d, s, t, scale] of cases) {
+                const roots = Polynomial.fromRoots([d, d, s, t], scale).getQuarticRoots();
+                const matches = roots.filter(x => Math.abs(x - d) <= 1e-6 * Math.max(1, Math.abs(d)));
+
+                assert.strictEqual(matches.length, 2, `double root ${d} in ${roots}`);
+            }
+        });
+        it("quartic with clustered roots", () => {
+            let seed = 54321;
+            const random = () => {
+                seed = (seed * 16807) % 2147483647;
+
+                return seed / 2147483647;
+            };
+
+            for (let i = 0; i < 1000; i++) {
+                const c = random() * 20 - 10;
+                const u = random() * 20 - 10;
+                const poly = Polynomial.fromRoots([c, c + random() * 1e-3, c + random() * 1e-3, u], random() * 100);
+
+                assert.doesNotThrow(() => poly.getQuarticRoots(), `roots near ${c} and ${u}`);
+            }
+        });
+        it("evalInterval", () => {
+            const poly = new Polynomial(1, -3, 0, 2);
+            const {min, max} = poly.evalInterval(-1, 2);
+
+            for (let x = -1; x <= 2; x += 0.125) {
+                const value = poly.eval(x);
+
+                assert(min <= value && value <= max, `${value} in [${min}, ${max}]`);
+            }
+
+            const point = new Polynomial(1, 0, 0).evalInterval(0.1, 0.1);
+
+            assert(point.min < 0.01 && 0.01 < point.max);
+            assert(point.max - point.min < 1e-15);
+        });
+        it("intervalNewton", () => {
+            const poly = new Polynomial(1, 0, -2);
+            const bracket = poly.intervalNewton(1, 2);
+
+            assert(bracket.min <= Math.SQRT2 && Math.SQRT2 <= bracket.max);
+            assert(bracket.max - bracket.min < 1e-14);
+            assert.strictEqual(poly.intervalNewton(2, 3), null);
+            // a double root cannot be certified
+            assert.strictEqual(new Polynomial(1, -2, 1).intervalNewton(0, 2), null);
+            // the derivative vanishes at the midpoint
+            assert.doesNotThrow(() => new Polynomial(1, 0, -3, -1).intervalNewton(0, 2));
+        });
     });
 });
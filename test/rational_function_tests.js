@@ -0,0 +1,96 @@
+import assert from "assert";
+import {Polynomial, RationalFunction} from "../index.js";
+
+/**
+ * Test that two floats are equal withing a tolerance
+ * @param {number} a
+ * @param {number} b
+ * @param {number} TOLERANCE
+ */
+function assertEqualWithinTolerance(a, b, TOLERANCE = 1e-10) {
+    assert(Math.abs(a - b) < TOLERANCE, `${a} === ${b}`);
+}
+
+describe("RationalFunction", () => {
+    it("eval", () => {
+        const rf = new RationalFunction(new Polynomial(1, 1), new Polynomial(1, -1));
+
+        assert.strictEqual(rf.eval(3), 2);
+    });
+    it("add", () => {
+        const rf1 = new RationalFunction(new Polynomial(1), new Polynomial(1, 0));
+        const rf2 = new RationalFunction(new Polynomial(1), new Polynomial(1, 1));
+        const result = rf1.add(rf2);
+
+        assertEqualWithinTolerance(result.eval(2), 1 / 2 + 1 / 3);
+    });
+    it("multiply", () => {
+        const rf1 = new RationalFunction(new Polynomial(1, 0), new Polynomial(1, 1));
+        const rf2 = new RationalFunction(new Polynomial(1, 1), new Polynomial(1, -1));
+        const result = rf1.multiply(rf2);
+
+        assertEqualWithinTolerance(result.eval(3), 1.5);
+    });
+    it("getDerivative", () => {
+        // d/dt 1/t = -1/t^2
+        const rf = new RationalFunction(new Polynomial(1), new Polynomial(1, 0));
+        const result = rf.getDerivative();
+
+        assertEqualWithinTolerance(result.eval(2), -0.25);
+    });
+    it("cancel", () => {
+        const numerator = new Polynomial(1, -1).multiply(new Polynomial(1, 2));
+        const denominator = new Polynomial(2, -2).multiply(new Polynomial(1, 3));
+        const result = new RationalFunction(numerator, denominator).cancel();
+
+        assert.strictEqual(result.numerator.getDegree(), 1);
+        assert.strictEqual(result.denominator.getDegree(), 1);
+        assertEqualWithinTolerance(result.eval(1), 3 / 8);
+    });
+    it("poles and zeros", () => {
+        const numerator = new Polynomial(1, -1).multiply(new Polynomial(1, 2));
+        const denominator = new Polynomial(1, -1).multiply(new Polynomial(1, 3)).multiply(new Polynomial(1, 0, 1));
+        const rf = new RationalFunction(numerator, denominator);
+        const poles = rf.getPoles();
+        const zeros = rf.getZeros();
+
+        assert.strictEqual(poles.length, 1);
+        assertEqualWithinTolerance(poles[0], -3);
+        assert.strictEqual(zeros.length, 1);
+        assertEqualWithinTolerance(zeros[0], -2);
+    });
+    it("repeated poles and zeros are distinct", () => {
+        const rf = new RationalFunction(Polynomial.fromRoots([2, 2]), Polynomial.fromRoots([1, 1, 3, -5]));
+        const poles = rf.getPoles();
+        const zeros = rf.getZeros();
+
+        assert.strictEqual(poles.length, 3);
+        assertEqualWithinTolerance(poles[0], -5);
+        assertEqualWithinTolerance(poles[1], 1, 1e-6);
+        assertEqualWithinTolerance(poles[2], 3);
+        assert.strictEqual(zeros.length, 1);
+        assertEqualWithinTolerance(zeros[0], 2, 1e-6);
+    });
+    it("partialFractions", () => {
+        // (t^3 + 1) / ((t - 1)^2 (t + 2)) = 1 - (7/9)/(t + 2) + (7/9)/(t - 1) + (2/3)/(t - 1)^2
+        const denominator = new Polynomial(1, -1).pow(2).multiply(new Polynomial(1, 2));
+        const rf = new RationalFunction(new Polynomial(1, 0, 0, 1), denominator);
+        const {polynomial, terms} = rf.partialFractions();
+
+        assert.strictEqual(polynomial.getDegree(), 0);
+        assertEqualWithinTolerance(polynomial.coefs[0], 1);
+        assert.strictEqual(terms.length, 3);
+        assertEqualWithinTolerance(terms[0].pole, -2);
+        assertEqualWithinTolerance(terms[0].coefficient, -7 / 9);
+        assertEqualWithinTolerance(terms[1].pole, 1);
+        assert.strictEqual(terms[1].power, 1);
+        assertEqualWithinTolerance(terms[1].coefficient, 7 / 9);
+        assert.strictEqual(terms[2].power, 2);
+        assertEqualWithinTolerance(terms[2].coefficient, 2 / 3);
+    });
+    it("partialFractions with complex poles", () => {
+        const rf = new RationalFunction(new Polynomial(1), new Polynomial(1, 0, 1));
+
+        assert.throws(() => rf.partialFractions(), RangeError);
+    });
+});
@@ -0,0 +1,63 @@
+/* global BigInt */
+import assert from "assert";
+import {Polynomial, RationalPolynomial} from "../index.js";
+
+describe("RationalPolynomial", () => {
+    it("multiply stays exact", () => {
+        // (2^53 + 1)^2 is not representable as a double
+        // eslint-disable-next-line compat/compat
+        const big = (BigInt(1) << BigInt(53)) + BigInt(1);
+        const p = new RationalPolynomial(1, big);
+
+        assert.strictEqual(p.multiply(p).coefs[0].numerator, big * big);
+    });
+    it("add and subtract", () => {
+        const p1 = new RationalPolynomial(1, 2, 3);
+        const p2 = new RationalPolynomial(-1, 0, 1);
+
+        assert.strictEqual(p1.add(p2).toString(), "2t + 4");
+        assert.strictEqual(p1.subtract(p1).getDegree(), -1);
+    });
+    it("divide", () => {
+        const p = new RationalPolynomial(1, 0, 0, -1);
+        const {quotient, remainder} = p.divide(new RationalPolynomial(2, -2));
+
+        assert.strictEqual(quotient.toString(), "(1/2)t^2 + (1/2)t + 1/2");
+        assert.strictEqual(remainder.getDegree(), -1);
+    });
+    it("gcd", () => {
+        // (t - 1)(t - 2) and (t - 1)(t + 3)
+        const p1 = new RationalPolynomial(2, -6, 4);
+        const p2 = new RationalPolynomial(1, 2, -3);
+
+        assert.strictEqual(p1.gcd(p2).toString(), "t - 1");
+    });
+    it("getDerivative", () => {
+        assert.strictEqual(new RationalPolynomial(1, 1, 1, 1).getDerivative().toString(), "3t^2 + 2t + 1");
+    });
+    it("eval", () => {
+        const p = new RationalPolynomial(1, 0, -2);
+
+        assert.strictEqual(p.eval(0.5).toString(), "-7/4");
+    });
+    it("countRealRootsInInterval", () => {
+        // (t - 1)^2 (t - 2)(t + 3)
+        const p = new RationalPolynomial(1, -1, -7, 13, -6);
+
+        assert.strictEqual(p.countRealRootsInInterval(-5, 5), 3);
+        assert.strictEqual(p.countRealRootsInInterval(1, 2), 2);
+        assert.strictEqual(p.countRealRootsInInterval(1.5, 1.75), 0);
+    });
+    it("countRealRootsInInterval separates close roots", () => {
+        const e = Math.pow(2, -40);
+        const p = RationalPolynomial.fromPolynomial(Polynomial.fromRoots([1, 1 + e]));
+
+        assert.strictEqual(p.countRealRootsInInterval(1 + e / 2, 2), 1);
+    });
+    it("fromPolynomial and toPolynomial", () => {
+        const poly = new Polynomial(0.1, -3, 2.5);
+        const result = RationalPolynomial.fromPolynomial(poly).toPolynomial();
+
+        assert.deepStrictEqual(result.coefs, poly.coefs);
+    });
+});
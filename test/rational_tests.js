@@ -0,0 +1,55 @@
+/* global BigInt */
+import assert from "assert";
+import {Rational} from "../index.js";
+
+describe("Rational", () => {
+    it("lowest terms", () => {
+        const r = new Rational(6, -4);
+
+        assert.strictEqual(r.toString(), "-3/2");
+        // eslint-disable-next-line compat/compat
+        assert.strictEqual(r.denominator, BigInt(2));
+    });
+    it("zero denominator", () => {
+        assert.throws(() => new Rational(1, 0), RangeError);
+    });
+    it("fromNumber is exact", () => {
+        assert.strictEqual(Rational.fromNumber(0.75).toString(), "3/4");
+        assert.strictEqual(Rational.fromNumber(0.1).toString(), "3602879701896397/36028797018963968");
+        assert.strictEqual(Rational.fromNumber(-5).toString(), "-5");
+    });
+    it("arithmetic", () => {
+        const a = new Rational(1, 3);
+        const b = new Rational(1, 6);
+
+        assert.strictEqual(a.add(b).toString(), "1/2");
+        assert.strictEqual(a.subtract(b).toString(), "1/6");
+        assert.strictEqual(a.multiply(b).toString(), "1/18");
+        assert.strictEqual(a.divide(b).toString(), "2");
+        assert.throws(() => a.divide(new Rational(0)), RangeError);
+    });
+    it("compare", () => {
+        assert.strictEqual(new Rational(1, 3).compare(new Rational(1, 2)), -1);
+        assert.strictEqual(new Rational(2, 4).compare(new Rational(1, 2)), 0);
+    });
+    it("toNumber of huge parts", () => {
+        // eslint-disable-next-line compat/compat
+        const big = BigInt(1) << BigInt(1400);
+        // eslint-disable-next-line compat/compat
+        const r = new Rational(big * BigInt(3), big * BigInt(2) + BigInt(1));
+
+        assert.strictEqual(r.toNumber(), 1.5);
+    });
+    it("toNumber of parts with unequal sizes", () => {
+        // eslint-disable-next-line compat/compat
+        const large = new Rational(BigInt(7) << BigInt(1000), 3);
+        // eslint-disable-next-line compat/compat
+        const small = new Rational(BigInt(1) << BigInt(1030), Math.pow(3, 25));
+        const expectedLarge = 7 / 3 * Math.pow(2, 1000);
+        const expectedSmall = Math.pow(2, 1000) / Math.pow(3, 25) * Math.pow(2, 30);
+
+        assert(Math.abs(large.toNumber() - expectedLarge) <= 1e-15 * expectedLarge);
+        assert(Math.abs(small.toNumber() - expectedSmall) <= 1e-15 * expectedSmall);
+        assert.strictEqual(large.negate().toNumber(), -large.toNumber());
+    });
+});
@@ -1,5 +1,5 @@
 import assert from "assert";
-import {SqrtPolynomial} from "../index.js";
+import {Polynomial, SqrtPolynomial} from "../index.js";
 
 describe("SqrtPolynomial", () => {
     it("toString", () => {
@@ -7,4 +7,13 @@ describe("SqrtPolynomial", () => {
 
         assert.strictEqual(poly.toString(), "sqrt(2t^2 + t)");
     });
+    it("JSON round trip keeps type", () => {
+        const poly = new SqrtPolynomial(2, 1, 0);
+        // eslint-disable-next-line compat/compat
+        const result = JSON.parse(JSON.stringify(poly), Polynomial.reviver);
+
+        assert.strictEqual(poly.toJSON().type, "SqrtPolynomial");
+        assert.strictEqual(result.constructor, SqrtPolynomial);
+        assert.deepStrictEqual(result.coefs, poly.coefs);
+    });
 });